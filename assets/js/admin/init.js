@@ -2,7 +2,15 @@
  * yd_core UI Initialization Script
  * This script initializes all YD input components (dropdowns, selections, image pickers, etc.) inside elements with the `.yd-core` class.
  * It registers inputs dynamically based on their type, enhances accessibility and interactivity (e.g., help tips, form change tracking),
- * and ensures keyboard usability. It also integrates form change detection and confirmation dialogs on page unload.
+ * and ensures keyboard usability. It also integrates form change detection and confirmation dialogs on page unload:
+ * each input is compared with the value it was loaded with, modified inputs are highlighted with a revert action
+ * and leaving the page is only confirmed while an input actually differs from its initial value. The modified values
+ * are also kept as a local draft, which is offered to be restored when the page is loaded again without them, and
+ * their changes can be undone and redone with Ctrl+Z / Ctrl+Shift+Z or the undo and redo buttons.
+ * Inputs inserted into or removed from `.yd-core` containers later are initialized or disposed automatically,
+ * and inputs with a `data-show-when`/`data-hide-when` config are shown or hidden live by the values they refer to.
+ * Forms with inputs violating the rules of the page (see YD_Validator) are not submitted, and pages with the
+ * autosave mode save their changed inputs in the background.
  *
  * Author: Yigit Demir
  * Since: 1.0.0
@@ -11,9 +19,196 @@
 
 "use strict";
 
+window.yd_core.ui = {
+  /**
+   * Input classes registered by type name, consulted by init() to create the inputs.
+   * @type {Object<string, typeof YD_Input_Base>}
+   */
+  types: {},
+
+  /**
+   * Registers an input type, so init() creates an instance of the class for every `.yd-admin-ui-input-{name}` element.
+   * Available before the DOM is ready, so input scripts register their types while loading.
+   * @param {string} name - Type name, as returned by `get_name()` of the PHP input view.
+   * @param {typeof YD_Input_Base} Class - Input class extending YD_Input_Base.
+   */
+  registerType: (name, Class) => {
+    if (!(Class?.prototype instanceof YD_Input_Base)) {
+      throw new TypeError(`Input type "${name}" must extend YD_Input_Base.`);
+    }
+    window.yd_core.ui.types[name] = Class;
+  },
+};
+
 jQuery(function ($) {
+  /**
+   * Pending AJAX requests keyed by their abort key, used to abort superseded requests.
+   * @type {Map<*, {abort: Function}>}
+   */
+  const pendingRequests = new Map();
+
+  /**
+   * Whether the conditional inputs are being updated, as disabling an input may trigger change events.
+   * @type {boolean}
+   */
+  var isCheckingConditions = false;
+
+  /**
+   * Autosave state: the timer of the next save, whether a save request is running and whether the inputs
+   * changed while it was running.
+   * @type {{timeoutId: number|undefined, isSaving: boolean, isPending: boolean}}
+   */
+  const autosaveState = {
+    timeoutId: undefined,
+    isSaving: false,
+    isPending: false,
+  };
+
+  /**
+   * Initial values of the tracked inputs as JSON, keyed by their root DOM element.
+   * @type {WeakMap<HTMLElement, string>}
+   */
+  const initialValues = new WeakMap();
+
+  /**
+   * Post title field, tracked along with the inputs on the edit screen of an existing post.
+   * @type {jQuery}
+   */
+  const titleDom = $("body:not(.post-new-php) #title");
+
+  /**
+   * Initial value of the post title field.
+   * @type {string|undefined}
+   */
+  var initialTitle = titleDom.val();
+
+  /**
+   * Returns the inputs whose changes are tracked: the inputs that are neither ignored nor a field of another input.
+   * @param {jQuery} [rootDoms] - Root DOM elements to filter, all inputs by default.
+   * @returns {jQuery}
+   */
+  const getTrackedDoms = (rootDoms = $(".yd-core .yd-admin-ui-input")) =>
+    rootDoms
+      .filter(".yd-admin-ui-input:not(.ignored)")
+      .filter(
+        (_, rootDom) =>
+          !$(rootDom).parent().closest(".yd-admin-ui-input").length,
+      );
+
+  /**
+   * Returns the form controls of an input without a registered type.
+   * @param {jQuery} rootDom - Root DOM element of the input.
+   * @returns {jQuery}
+   */
+  const getControlDoms = (rootDom) =>
+    rootDom
+      .find("input, textarea, select")
+      .not('[type="button"], [type="submit"], [type="reset"]');
+
+  /**
+   * Value changes of the inputs that can be undone and redone, the last change at the end.
+   * @type {{undo: Array<{rootDom: jQuery, oldValue: string, newValue: string, time: number, isTyping: boolean}>, redo: Array<Object>}}
+   */
+  const historyStacks = { undo: [], redo: [] };
+
+  /**
+   * Last known values of the tracked inputs as JSON, the old values of their next changes.
+   * @type {WeakMap<HTMLElement, string>}
+   */
+  const lastValues = new WeakMap();
+
+  /**
+   * Whether a change is being undone or redone, so the value changes it causes are not recorded.
+   * @type {boolean}
+   */
+  var isApplyingHistory = false;
+
+  /**
+   * Whether the inputs changed since the local draft was last written.
+   * @type {boolean}
+   */
+  var isDraftOutdated = false;
+
+  /**
+   * Returns the data name identifying an input in the local draft.
+   * @param {jQuery} rootDom - Root DOM element of the input.
+   * @returns {string|undefined}
+   */
+  const getDataName = (rootDom) =>
+    window.yd_core.ui.findByDom(rootDom)?.getConfig("data_name") ??
+    rootDom.find("[name]").first().attr("name");
+
+  /**
+   * Returns the tracked input with the given data name.
+   * @param {string} dataName - Data name of the input.
+   * @returns {jQuery}
+   */
+  const findByDataName = (dataName) =>
+    getTrackedDoms()
+      .filter((_, rootDom) => getDataName($(rootDom)) === dataName)
+      .first();
+
+  /**
+   * Returns the local draft of the page, if any.
+   * @returns {{time: number, values: Object}|null}
+   */
+  const readDraft = () => {
+    try {
+      return JSON.parse(
+        window.localStorage.getItem(window.yd_core.page.draft_key) ?? "null",
+      );
+    } catch (e) {
+      return null;
+    }
+  };
+
+  /**
+   * Removes the local draft of the page.
+   */
+  const removeDraft = () => {
+    try {
+      window.localStorage.removeItem(window.yd_core.page.draft_key);
+    } catch (e) {
+      // The storage may be disabled
+    }
+  };
+
+  /**
+   * Inserts an element at the top of the page content: after the header end of the page, otherwise at the start of
+   * the page wrap or of the form holding the inputs. `.yd-core` is the class of the admin body, so it is no anchor.
+   * @param {jQuery} dom - Element to insert.
+   */
+  const insertIntoPage = (dom) => {
+    const headerEndDom = $(".wp-header-end").first();
+    if (headerEndDom.length) {
+      dom.insertAfter(headerEndDom);
+      return;
+    }
+
+    [
+      $("#wpbody-content .wrap").first(),
+      $(".yd-core .yd-admin-ui-input").first().closest("form"),
+      $("#wpbody-content"),
+    ]
+      .find((containerDom) => containerDom.length)
+      ?.prepend(dom);
+  };
+
+  /**
+   * Returns the container of the state (autosave status, revert action) of an input, creating it when needed.
+   * @param {jQuery} rootDom - Root DOM element of the input.
+   * @returns {jQuery}
+   */
+  const getStateDom = (rootDom) => {
+    var stateDom = rootDom.children(".yd-input-state");
+    if (!stateDom.length) {
+      stateDom = $('<div class="yd-input-state"></div>').appendTo(rootDom);
+    }
+    return stateDom;
+  };
+
   window.yd_core = Object.assign(window.yd_core, {
-    ui: {
+    ui: Object.assign(window.yd_core.ui, {
       /**
        * Object to store registered input components.
        * @type {Object}
@@ -22,7 +217,7 @@ jQuery(function ($) {
 
       /**
        * Initializes all UI input elements and attaches behaviors like help tips.
-       * Dynamically detects input type and registers it accordingly.
+       * Creates an instance of the registered type of each input and registers it.
        * @returns {Promise<void>}
        */
       init: async () => {
@@ -32,54 +227,85 @@ jQuery(function ($) {
          * @param {Object} input - Input instance to register.
          */
         const register = (id, input) => {
-          const inputLength = Object.keys(window.yd_core.ui.input).length;
-          window.yd_core.ui.input[id || inputLength] = input;
+          var key = id || Object.keys(window.yd_core.ui.input).length;
+
+          // Disposed inputs leave gaps, so the length may already be taken
+          while (!id && key in window.yd_core.ui.input) key++;
+
+          window.yd_core.ui.input[key] = input;
         };
 
         /**
-         * Attaches event listeners to help tips for showing and hiding tooltip text.
-         * @param {jQuery} rootDom - Root DOM element containing the help-tip.
+         * Resolves the initial values of all selection inputs in one batched request per ajax action, for the
+         * actions accepting batched requests (`is_batchable` config).
+         * @param {jQuery} rootDoms - Root DOM elements of the inputs to initialize.
+         * @returns {Map<HTMLElement, Promise<Array<Object>>>} Items of each selection input by its root DOM.
          */
-        const checkHelpTip = (rootDom) => {
-          var timeOutId, helpTip;
+        const loadSelectionItems = (rootDoms) => {
+          const groups = {};
+          const selectionItems = new Map();
 
-          rootDom
-            .find(".help-tip")
-            .on("mouseenter focus", (e) => {
-              helpTip = $(e.target);
-              timeOutId = setTimeout(() => {
-                helpTip.css("z-index", "999").find(".help-text").fadeIn(100);
-              }, 300);
-            })
-            .on("mouseleave blur", (e) => {
-              clearTimeout(timeOutId);
-              helpTip.find(".help-text").fadeOut(100, () => {
-                helpTip.css("z-index", "");
-              });
-            })
-            .on("click keyup keydown", (e) => {
-              if (e.type === "keydown") {
-                if ([13, 32].includes(e.keyCode)) {
-                  e.preventDefault();
-                }
-              } else {
-                const id = $(e.target).attr("data-input-id");
-                if (id?.length) {
-                  if (e.type === "keyup" && ![13, 32].includes(e.keyCode))
-                    return;
+          rootDoms
+            .filter(
+              ".yd-admin-ui-input-selection, .yd-admin-ui-input-selection-action",
+            )
+            .each((_, rootDom) => {
+              const config = JSON.parse($(rootDom).attr("data-config"));
+              const isAction = $(rootDom).hasClass(
+                "yd-admin-ui-input-selection-action",
+              );
 
-                  $(`#${id}_input`)[0]?.focus();
-                  $(`#${id}_input_click`)[0]?.click();
+              // Actions not accepting batches resolve the value of each input by themselves
+              if (!config.is_batchable) return;
 
-                  e.preventDefault();
-                }
+              var value = JSON.parse($(rootDom).attr("data-value") || "null");
+              if (isAction) {
+                value = Object.values(value ?? {}).map((item) => item.id);
               }
+
+              // Single selections store the id without an array
+              value = [].concat(value ?? []).filter((id) => id !== "");
+              if (!value.length) return;
+
+              const properties = isAction
+                ? config.properties
+                : JSON.parse($(rootDom).attr("data-properties") || "{}");
+              const actionName = config.ajax_action_name ?? "wc-search";
+
+              groups[actionName] ??= [];
+              groups[actionName].push({
+                rootDom,
+                entry: $.extend({}, properties, { value }),
+              });
             });
+
+          for (const [actionName, group] of Object.entries(groups)) {
+            const request = window.yd_core.action
+              .runAjax(null, actionName, {
+                batch: group.map((item) => item.entry),
+              })
+              .then((response) => (Array.isArray(response) ? response : []))
+              .catch(() => []);
+
+            group.forEach((item, index) => {
+              selectionItems.set(
+                item.rootDom,
+                request.then((results) =>
+                  Array.isArray(results[index]) ? results[index] : [],
+                ),
+              );
+            });
+          }
+
+          return selectionItems;
         };
 
-        for await (let rootDom of $(
-          ".yd-core .yd-admin-ui-input:not(.loaded)",
-        )) {
+        const rootDoms = $(".yd-core .yd-admin-ui-input:not(.loaded)").filter(
+          (_, rootDom) => window.yd_core.ui.findByDom($(rootDom)) === undefined,
+        );
+        const selectionItems = loadSelectionItems(rootDoms);
+
+        for await (let rootDom of rootDoms) {
           rootDom = $(rootDom);
 
           const isRegistered =
@@ -87,48 +313,129 @@ jQuery(function ($) {
 
           if (isRegistered) continue;
 
-          /**
-           * Helper to determine if the input matches a type.
-           * @param {string} type - Type to check against.
-           * @returns {boolean}
-           */
-          const is = (type) => rootDom.hasClass(`yd-admin-ui-input-${type}`);
-
-          const [id, config, properties, value, dropdownOptions] = [
-            rootDom.attr("id"),
-            rootDom.attr("data-config"),
-            rootDom.attr("data-properties"),
-            rootDom.attr("data-value"),
-            rootDom.attr("data-dropdown-options"),
-          ];
-
-          if (is("dropdown")) {
-            await register(id, new YD_Input_Dropdown(rootDom, config, value));
-          } else if (is("selection")) {
-            await register(
-              id,
-              new YD_Input_Selection(rootDom, config, properties, value),
-            );
-          } else if (is("selection-media")) {
-            await register(id, new YD_Input_Selection_Media(rootDom, config));
-          } else if (is("color-picker")) {
-            await register(id, new YD_Input_Color_Picker(rootDom));
-          } else if (is("selection-action")) {
+          const type = Object.keys(window.yd_core.ui.types).find((name) =>
+            rootDom.hasClass(`yd-admin-ui-input-${name}`),
+          );
+
+          if (type) {
             await register(
-              id,
-              new YD_Input_Selection_Action(
-                rootDom,
-                config,
-                dropdownOptions,
-                value,
-              ),
+              rootDom.attr("id"),
+              window.yd_core.ui.types[type].create(rootDom, {
+                items: selectionItems.get(rootDom[0]),
+              }),
             );
+          } else {
+            YD_Input_Base.loadHelpTip(rootDom);
           }
 
-          checkHelpTip(rootDom);
-
           rootDom.addClass("loaded");
         }
+
+        window.yd_core.ui.snapshot(rootDoms);
+        window.yd_core.ui.checkConditions();
+
+        // Inputs reading the values of their child inputs (e.g. repeater rows) wait for these to be created
+        $(window.document).trigger("yd-inputs-loaded");
+      },
+
+      /**
+       * Shows or hides the inputs with a `data-show-when`/`data-hide-when` config by the values of the inputs
+       * they refer to, mirroring the `hide_by_condition` rule of Data_Manager: an input is hidden when all
+       * hide conditions match, or when not all show conditions match. Hidden inputs are disabled, so they are
+       * neither validated nor submitted. Within a repeater row, conditions refer to the fields of the row.
+       */
+      checkConditions: () => {
+        /**
+         * Normalizes a value for comparison, as inputs hold strings while conditions hold sanitized values.
+         * @param {*} value - Value to normalize.
+         * @returns {*}
+         */
+        const normalize = (value) => {
+          if (Array.isArray(value)) return value.map(normalize);
+          if (typeof value === "boolean") return value ? "1" : "0";
+          return value === undefined || value === null ? "" : String(value);
+        };
+
+        /**
+         * Checks whether all conditions match the values of the inputs they refer to.
+         * @param {jQuery} rootDom - Root DOM of the dependent input.
+         * @param {Object} conditions - Values keyed by data name.
+         * @returns {boolean}
+         */
+        const isMatch = (rootDom, conditions) =>
+          Object.entries(conditions).every(
+            ([key, value]) =>
+              JSON.stringify(
+                normalize(
+                  window.yd_core.ui.getSubmittedValue(
+                    window.yd_core.ui.findReferencedDom(rootDom, key),
+                  ),
+                ),
+              ) === JSON.stringify(normalize(value)),
+          );
+
+        if (isCheckingConditions) return;
+        isCheckingConditions = true;
+
+        try {
+          // Hiding an input may change the conditions of others, so repeat until nothing changes
+          for (let pass = 0; pass < 10; pass++) {
+            var isChanged = false;
+
+            $(".yd-core .yd-admin-ui-input")
+              .filter("[data-show-when], [data-hide-when]")
+              .each((_, rootDom) => {
+                rootDom = $(rootDom);
+
+                const showWhen = JSON.parse(
+                  rootDom.attr("data-show-when") ?? "{}",
+                );
+                const hideWhen = JSON.parse(
+                  rootDom.attr("data-hide-when") ?? "{}",
+                );
+                const isHidden =
+                  (!$.isEmptyObject(hideWhen) && isMatch(rootDom, hideWhen)) ||
+                  (!$.isEmptyObject(showWhen) && !isMatch(rootDom, showWhen));
+
+                if (isHidden === rootDom.hasClass("hidden-by-condition"))
+                  return;
+
+                const input = window.yd_core.ui.findByDom(rootDom);
+                rootDom
+                  .toggleClass("hidden-by-condition", isHidden)
+                  .toggle(!isHidden);
+
+                // Inputs disabled for other reasons stay disabled when shown again
+                if (input) {
+                  if (isHidden && !input.isDisabled()) {
+                    input.disable();
+                    rootDom.attr("data-condition-disabled", "");
+                  } else if (
+                    !isHidden &&
+                    rootDom.is("[data-condition-disabled]")
+                  ) {
+                    input.enable();
+                    rootDom.removeAttr("data-condition-disabled");
+                  }
+                } else if (isHidden) {
+                  rootDom
+                    .find("input:not(:disabled), textarea:not(:disabled)")
+                    .prop("disabled", true)
+                    .attr("data-condition-disabled", "");
+                } else {
+                  rootDom
+                    .find("[data-condition-disabled]")
+                    .prop("disabled", false)
+                    .removeAttr("data-condition-disabled");
+                }
+                isChanged = true;
+              });
+
+            if (!isChanged) break;
+          }
+        } finally {
+          isCheckingConditions = false;
+        }
       },
 
       /**
@@ -146,52 +453,845 @@ jQuery(function ($) {
         }
       },
 
+      /**
+       * Disposes the input of a root DOM removed from the page: unbinds its document-level handlers and
+       * deletes it from the registered inputs.
+       * @param {jQuery} rootDom - Root DOM element of the input.
+       */
+      dispose: (rootDom) => {
+        const input = window.yd_core.ui.findByDom(rootDom);
+        if (input === undefined) return;
+
+        input.dispose?.();
+
+        for (const [key, registeredInput] of Object.entries(
+          window.yd_core.ui.input,
+        )) {
+          if (registeredInput === input) delete window.yd_core.ui.input[key];
+        }
+      },
+
+      /**
+       * Finds the root DOM of the input another input refers to, e.g. by a condition or the `depends_on` of a dropdown.
+       * @param {jQuery} rootDom - Root DOM of the referring input.
+       * @param {string} key - Data name of the referenced input, or field name within a repeater row.
+       * @returns {jQuery}
+       */
+      findReferencedDom: (rootDom, key) => {
+        const rowDom = rootDom.closest(".field").closest(".row");
+        if (rowDom.length) {
+          return rowDom
+            .children(".fields")
+            .children(".field")
+            .filter((_, fieldDom) => $(fieldDom).attr("data-key") === key)
+            .children(".yd-admin-ui-input");
+        }
+
+        for (const input of Object.values(window.yd_core.ui.input)) {
+          if (input.getConfig?.("data_name") === key) {
+            return input.getRootDom().closest(".yd-admin-ui-input");
+          }
+        }
+
+        return $(".yd-core [name]")
+          .filter(
+            (_, inputDom) =>
+              inputDom.name === key || inputDom.name.startsWith(`${key}[`),
+          )
+          .first()
+          .closest(".yd-admin-ui-input");
+      },
+
+      /**
+       * Returns the submitted value of an input, undefined while it is disabled.
+       * @param {jQuery} rootDom - Root DOM of the input.
+       * @returns {*}
+       */
+      getSubmittedValue: (rootDom) => {
+        const input = window.yd_core.ui.findByDom(rootDom);
+        if (input) return input.isDisabled?.() ? undefined : input.getValue();
+
+        const controlDom = rootDom.find("[name]:not(:disabled)");
+        return controlDom.length ? controlDom.val() : undefined;
+      },
+
+      /**
+       * Returns the value of an input used to track its changes: the value of a registered input, or the values
+       * (checked states of checkboxes and radios) of the form controls of any other input.
+       * @param {jQuery} rootDom - Root DOM element of the input.
+       * @returns {*}
+       */
+      getFieldValue: (rootDom) => {
+        const input = window.yd_core.ui.findByDom(rootDom);
+        if (input) return input.getValue();
+
+        return getControlDoms(rootDom)
+          .toArray()
+          .map((controlDom) =>
+            ["checkbox", "radio"].includes(controlDom.type)
+              ? controlDom.checked
+              : controlDom.value,
+          );
+      },
+
+      /**
+       * Sets the value of an input as returned by getFieldValue(): through the value API of a registered input, or
+       * by setting the form controls of any other input and triggering their change event. Disabled inputs are kept.
+       * @param {jQuery} rootDom - Root DOM element of the input.
+       * @param {*} value - Value to set.
+       * @returns {Promise<void>}
+       */
+      setFieldValue: async (rootDom, value) => {
+        const input = window.yd_core.ui.findByDom(rootDom);
+
+        if (input) {
+          if (!input.isDisabled()) await input.setValue(value);
+          return;
+        }
+
+        getControlDoms(rootDom).each((index, controlDom) => {
+          if (controlDom.disabled || value?.[index] === undefined) return;
+
+          const isCheckable = ["checkbox", "radio"].includes(controlDom.type);
+          if (
+            (isCheckable ? controlDom.checked : controlDom.value) ===
+            value[index]
+          )
+            return;
+
+          if (isCheckable) {
+            controlDom.checked = value[index];
+          } else {
+            controlDom.value = value[index];
+          }
+          $(controlDom).trigger("change");
+        });
+      },
+
+      /**
+       * Stores the current values of inputs as their initial values, e.g. once the inputs are loaded or saved.
+       * @param {jQuery} [rootDoms] - Root DOM elements of the inputs, all inputs (and the post title) by default.
+       */
+      snapshot: (rootDoms = undefined) => {
+        if (rootDoms === undefined) initialTitle = titleDom.val();
+
+        getTrackedDoms(rootDoms).each((_, rootDom) => {
+          const value = JSON.stringify(
+            window.yd_core.ui.getFieldValue($(rootDom)),
+          );
+
+          initialValues.set(rootDom, value);
+          lastValues.set(rootDom, value);
+        });
+
+        window.yd_core.ui.updateChanges(rootDoms);
+      },
+
+      /**
+       * Returns whether the value of an input differs from its initial value.
+       * @param {jQuery} rootDom - Root DOM element of the input.
+       * @returns {boolean}
+       */
+      isModified: (rootDom) =>
+        initialValues.has(rootDom[0]) &&
+        initialValues.get(rootDom[0]) !==
+          JSON.stringify(window.yd_core.ui.getFieldValue(rootDom)),
+
+      /**
+       * Highlights the modified inputs with a revert action, and sets the `data-form-changed` attribute of the body,
+       * which makes leaving the page ask for confirmation, while any input (or the post title) is modified.
+       * @param {jQuery} [rootDoms] - Root DOM elements of the inputs to update, all inputs by default.
+       */
+      updateChanges: (rootDoms = undefined) => {
+        getTrackedDoms(rootDoms).each((_, rootDom) => {
+          rootDom = $(rootDom);
+
+          const isModified = window.yd_core.ui.isModified(rootDom);
+          const revertDom = rootDom
+            .children(".yd-input-state")
+            .children(".revert");
+
+          rootDom.toggleClass("modified", isModified);
+
+          if (!isModified) {
+            revertDom.remove();
+          } else if (!revertDom.length) {
+            $(
+              `<button type="button" class="button-link revert">${window.yd_core.ui.getText("Revert")}</button>`,
+            )
+              .on("click", () => window.yd_core.ui.revert(rootDom))
+              .appendTo(getStateDom(rootDom));
+          }
+        });
+
+        const isChanged =
+          $(".yd-core .yd-admin-ui-input.modified").length > 0 ||
+          (titleDom.length > 0 && titleDom.val() !== initialTitle);
+
+        $(window.document.body).attr(
+          "data-form-changed",
+          isChanged ? "1" : null,
+        );
+      },
+
+      /**
+       * Restores the initial value of a modified input.
+       * @param {jQuery} rootDom - Root DOM element of the input.
+       * @returns {Promise<void>}
+       */
+      revert: async (rootDom) => {
+        if (!initialValues.has(rootDom[0])) return;
+
+        await window.yd_core.ui.setFieldValue(
+          rootDom,
+          JSON.parse(initialValues.get(rootDom[0])),
+        );
+        window.yd_core.ui.updateChanges(rootDom);
+      },
+
+      /**
+       * Writes the values of the modified inputs to the local draft of the page, keyed by their data names, so they
+       * can be restored after the session expired or the browser crashed. The draft is removed when no input is
+       * modified, e.g. once the inputs are autosaved. A draft offered to restore is kept until it is restored or
+       * discarded.
+       */
+      saveDraft: () => {
+        const key = window.yd_core.page.draft_key;
+        if (!key || $(".yd-core-draft").length) return;
+
+        const values = {};
+        getTrackedDoms($(".yd-core .yd-admin-ui-input.modified")).each(
+          (_, rootDom) => {
+            const dataName = getDataName($(rootDom));
+            if (dataName !== undefined) {
+              values[dataName] = window.yd_core.ui.getFieldValue($(rootDom));
+            }
+          },
+        );
+
+        try {
+          if (Object.keys(values).length) {
+            window.localStorage.setItem(
+              key,
+              JSON.stringify({ time: Date.now(), values: values }),
+            );
+          } else {
+            window.localStorage.removeItem(key);
+          }
+        } catch (e) {
+          // The storage may be full or disabled
+        }
+
+        isDraftOutdated = false;
+      },
+
+      /**
+       * Offers to restore the local draft of the page with a notice when it is newer than the saved values the page
+       * was rendered with (`values_time`, when known) and its values differ from the loaded ones. Otherwise the draft
+       * is discarded, e.g. when the page loads with the values the draft was written for saved.
+       */
+      checkDraft: () => {
+        const draft = readDraft();
+        if (!draft) return;
+
+        const isNewer =
+          (draft.time ?? 0) > (window.yd_core.page.values_time ?? 0);
+        const isDifferent = Object.entries(draft.values ?? {}).some(
+          ([dataName, value]) => {
+            const rootDom = findByDataName(dataName);
+            return (
+              rootDom.length > 0 &&
+              JSON.stringify(window.yd_core.ui.getFieldValue(rootDom)) !==
+                JSON.stringify(value)
+            );
+          },
+        );
+
+        if (!isNewer || !isDifferent) {
+          removeDraft();
+          return;
+        }
+
+        const getText = window.yd_core.ui.getText;
+        const noticeDom = $(`
+          <div class="notice notice-warning yd-core-draft">
+            <p></p>
+            <p>
+              <button type="button" class="button restore">${getText("Restore unsaved changes")}</button>
+              <button type="button" class="button-link discard">${getText("Discard")}</button>
+            </p>
+          </div>
+        `);
+
+        noticeDom
+          .find("p")
+          .first()
+          .text(
+            getText("There are unsaved changes on this page from %s.").replace(
+              "%s",
+              new Date(draft.time).toLocaleString(),
+            ),
+          );
+        noticeDom.find(".restore").on("click", async () => {
+          noticeDom.remove();
+          await window.yd_core.ui.restoreDraft();
+          window.yd_core.ui.saveDraft();
+        });
+        noticeDom.find(".discard").on("click", () => {
+          noticeDom.remove();
+          removeDraft();
+        });
+
+        insertIntoPage(noticeDom);
+      },
+
+      /**
+       * Sets the values of the local draft of the page to the inputs through their value API.
+       * @returns {Promise<void>}
+       */
+      restoreDraft: async () => {
+        const draft = readDraft();
+
+        for (const [dataName, value] of Object.entries(draft?.values ?? {})) {
+          const rootDom = findByDataName(dataName);
+          if (rootDom.length) {
+            await window.yd_core.ui.setFieldValue(rootDom, value);
+          }
+        }
+
+        window.yd_core.ui.updateChanges();
+      },
+
       /**
        * Returns translated text from language data or falls back to original.
        * @param {string} text - Key to translate.
        * @returns {string}
        */
       getText: (text) => window.yd_core.language.text[text] ?? text,
-    },
+
+      /**
+       * Shows an admin-notice style error toast, e.g. with the server message of a failed AJAX request.
+       * Aborted requests are ignored and a message already on screen is not repeated.
+       * @param {Error|string} error - Error (as rejected by runAjax) or message to show.
+       */
+      showError: (error) => {
+        if (error?.aborted) return;
+
+        const message =
+          typeof error === "string"
+            ? error
+            : (error?.message ??
+              window.yd_core.ui.getText(
+                "Something went wrong. Please try again.",
+              ));
+
+        var containerDom = $(".yd-core-notices");
+        if (!containerDom.length) {
+          containerDom = $(
+            '<div class="yd-core-notices" role="alert" aria-live="assertive"></div>',
+          ).appendTo(window.document.body);
+        }
+
+        const isShown = containerDom
+          .find(".notice > p")
+          .toArray()
+          .some((messageDom) => messageDom.textContent === message);
+        if (isShown) return;
+
+        const noticeDom = $(`
+          <div class="notice notice-error is-dismissible">
+            <p></p>
+            <button type="button" class="notice-dismiss"><span class="screen-reader-text">${window.yd_core.ui.getText("Dismiss this notice.")}</span></button>
+          </div>
+        `);
+        const removeNotice = () => {
+          noticeDom.fadeOut(100, () => noticeDom.remove());
+        };
+
+        noticeDom.find("p").text(message);
+        noticeDom.find(".notice-dismiss").on("click", removeNotice);
+        containerDom.append(noticeDom);
+
+        setTimeout(removeNotice, 8000);
+      },
+    }),
 
     action: {
       /**
        * Sends an AJAX request to WordPress backend and calls onDone callback.
-       * @param {Function} onDone - Callback after successful response.
+       * The returned jQuery promise resolves with the response data and rejects with an Error on a `success:false`
+       * response (carrying the server message), a non-2xx status, a timeout or a network error, and with the error
+       * thrown by onDone.
+       * The nonce of the action is added from `window.yd_core.wp_nonce[actionName]` when present.
+       * When an abort key is given, a still pending request with the same key is aborted first,
+       * so a superseded request neither calls onDone nor resolves.
+       * @param {Function|null} onDone - Callback after successful response.
        * @param {string} actionName - Action name (without 'yd-' prefix).
        * @param {Object} [data=undefined] - Request data.
-       * @param {string} [type="POST"] - Request type (GET or POST).
-       * @returns {jqXHR}
-       */
-      runAjax: (onDone, actionName, data = undefined, type = "POST") => {
-        return jQuery
-          .ajax({
-            type: type,
-            url: window.ajaxurl,
-            data: jQuery.extend({ action: "yd-" + actionName }, data),
-          })
-          .done(function (response) {
-            onDone(response?.data);
+       * @param {Object|string} [options={}] - Request options, or the request type for backward compatibility.
+       * @param {string} [options.type="POST"] - Request type (GET or POST).
+       * @param {*} [options.abortKey=undefined] - Key identifying requests that supersede each other.
+       * @param {number} [options.timeout=30000] - Timeout of each attempt in milliseconds.
+       * @param {number} [options.retry=0] - Number of retries after a timeout, network or server (5xx) error.
+       * @returns {jQuery.Promise} Thenable with done/fail/always and abort, like the jqXHR it replaces.
+       */
+      runAjax: (onDone, actionName, data = undefined, options = {}) => {
+        if (typeof options === "string") options = { type: options };
+
+        const {
+          type = "POST",
+          abortKey = undefined,
+          timeout = 30000,
+          retry = 0,
+        } = options;
+
+        if (abortKey !== undefined) {
+          window.yd_core.action.abortAjax(abortKey);
+        }
+
+        const nonce = window.yd_core.wp_nonce?.[actionName];
+        const requestData = jQuery.extend(
+          { action: "yd-" + actionName },
+          nonce ? { _wpnonce: nonce } : {},
+          data,
+        );
+
+        /**
+         * Creates the error a request rejects with.
+         * @param {string} [message] - Error message, falls back to a generic one.
+         * @param {Object} [props={}] - Additional error properties (aborted, status, data).
+         * @returns {Error}
+         */
+        const createError = (message, props = {}) =>
+          Object.assign(
+            new Error(
+              message ||
+                window.yd_core.ui.getText(
+                  "Something went wrong. Please try again.",
+                ),
+            ),
+            { aborted: false, status: 200, data: undefined },
+            props,
+          );
+
+        // A jQuery promise keeps the done/fail/always/abort contract of the jqXHR returned before,
+        // and does not report rejections left unhandled by callers passing onDone only
+        const deferred = jQuery.Deferred();
+        const resolve = (value) => deferred.resolve(value);
+        const reject = (error) => deferred.reject(error);
+
+        const state = {
+          request: undefined,
+          timeoutId: undefined,
+          isAborted: false,
+        };
+
+        const controller = {
+          abort: () => {
+            clearTimeout(state.timeoutId);
+            state.isAborted = true;
+            state.request?.abort();
+            reject(
+              createError(window.yd_core.ui.getText("Request aborted"), {
+                aborted: true,
+              }),
+            );
+          },
+        };
+
+        const send = (attempt) => {
+          state.request = jQuery
+            .ajax({
+              type: type,
+              url: window.ajaxurl,
+              data: requestData,
+              timeout: timeout,
+            })
+            .done((response) => {
+              if (response?.success) {
+                // The promise settles even when onDone throws, so awaiting callers are not left pending
+                try {
+                  onDone?.(response.data);
+                } catch (error) {
+                  reject(error);
+                  return;
+                }
+
+                resolve(response.data);
+              } else {
+                reject(
+                  createError(response?.data?.message, {
+                    data: response?.data,
+                  }),
+                );
+              }
+            })
+            .fail((xhr, status) => {
+              if (state.isAborted) return;
+
+              const isRetryable =
+                ["timeout", "error"].includes(status) &&
+                (xhr.status === 0 || xhr.status >= 500);
+
+              if (isRetryable && attempt < retry) {
+                state.timeoutId = setTimeout(
+                  () => send(attempt + 1),
+                  1000 * (attempt + 1),
+                );
+                return;
+              }
+
+              reject(
+                createError(xhr.responseJSON?.data?.message, {
+                  status: xhr.status,
+                  data: xhr.responseJSON?.data,
+                }),
+              );
+            })
+            .always(() => {
+              if (
+                abortKey !== undefined &&
+                !state.timeoutId &&
+                pendingRequests.get(abortKey) === controller
+              ) {
+                pendingRequests.delete(abortKey);
+              }
+            });
+
+          state.timeoutId = undefined;
+        };
+
+        if (abortKey !== undefined) pendingRequests.set(abortKey, controller);
+        send(0);
+
+        return deferred.promise({ abort: controller.abort });
+      },
+
+      /**
+       * Aborts the pending AJAX request started with the given abort key, if any.
+       * Its promise rejects with an Error whose `aborted` property is true.
+       * @param {*} abortKey - Key passed to runAjax.
+       */
+      abortAjax: (abortKey) => {
+        const controller = pendingRequests.get(abortKey);
+        pendingRequests.delete(abortKey);
+        controller?.abort();
+      },
+
+      /**
+       * Saves the modified inputs of the page in the background when the page enabled the autosave mode,
+       * posting their values with the keys of their fields in `autosave_keys` to the autosave action of the page.
+       * Invalid inputs are not posted. The saved values become the initial values of the saved inputs, so they
+       * are no longer modified unless changed again meanwhile, and the other inputs show the error returned for
+       * their field. A save requested while another is running starts after it.
+       * @returns {Promise<void>}
+       */
+      autosave: async () => {
+        const actionName = window.yd_core.page.autosave;
+        if (!actionName) return;
+
+        clearTimeout(autosaveState.timeoutId);
+
+        if (autosaveState.isSaving) {
+          autosaveState.isPending = true;
+          return;
+        }
+
+        /**
+         * Returns the key of the field of an input, the first segment of its data name. The data name is read from
+         * the config, as a cleared input may have no named control.
+         * @param {jQuery} rootDom - Root DOM element of the input.
+         * @returns {string|undefined}
+         */
+        const getKey = (rootDom) => getDataName(rootDom)?.match(/^[^[]+/)?.[0];
+
+        /**
+         * Sets a value in the posted data by its input name, e.g. `items[0][title]` or `ids[]`.
+         * @param {Object} data - Posted data.
+         * @param {string} name - Input name.
+         * @param {string} value - Input value.
+         */
+        const setData = (data, name, value) => {
+          const keys = name.replace(/\]/g, "").split("[");
+          var target = data;
+
+          keys.forEach((key, index) => {
+            if (key === "") key = Object.keys(target).length;
+
+            if (index === keys.length - 1) {
+              target[key] = value;
+            } else {
+              target = target[key] ??= {};
+            }
           });
+        };
+
+        const rootDoms = getTrackedDoms(
+          $(".yd-core .yd-admin-ui-input.modified"),
+        )
+          .toArray()
+          .map((rootDom) => $(rootDom))
+          .filter(
+            (rootDom) =>
+              getKey(rootDom) !== undefined &&
+              YD_Validator.validateInput(rootDom),
+          );
+        if (!rootDoms.length) return;
+
+        const data = { autosave_keys: [] };
+        const values = new Map();
+
+        for (const rootDom of rootDoms) {
+          data.autosave_keys.push(getKey(rootDom));
+          values.set(
+            rootDom[0],
+            JSON.stringify(window.yd_core.ui.getFieldValue(rootDom)),
+          );
+
+          rootDom
+            .find("[name]:not(:disabled)")
+            .serializeArray()
+            .forEach(({ name, value }) => setData(data, name, value));
+        }
+
+        /**
+         * Shows the save state of an input.
+         * @param {jQuery} rootDom - Root DOM element of the input.
+         * @param {string|undefined} state - "saving", "saved" or undefined to hide it.
+         */
+        const showState = (rootDom, state) => {
+          var stateDom = rootDom
+            .children(".yd-input-state")
+            .children(".yd-input-autosave");
+          rootDom.removeClass("saving saved");
+
+          if (state === undefined) {
+            stateDom.remove();
+            return;
+          }
+
+          if (!stateDom.length) {
+            stateDom = $(
+              '<span class="yd-input-autosave" role="status" aria-live="polite"></span>',
+            ).prependTo(getStateDom(rootDom));
+          }
+
+          rootDom.addClass(state);
+          stateDom.text(
+            window.yd_core.ui.getText(
+              state === "saving" ? "Saving..." : "Saved",
+            ),
+          );
+        };
+
+        autosaveState.isSaving = true;
+        rootDoms.forEach((rootDom) => showState(rootDom, "saving"));
+
+        try {
+          const response = await window.yd_core.action.runAjax(
+            null,
+            actionName,
+            data,
+          );
+
+          for (const rootDom of rootDoms) {
+            const key = getKey(rootDom);
+            const error =
+              response?.errors?.[key] ??
+              (response?.saved?.includes(key)
+                ? undefined
+                : window.yd_core.ui.getText("This field can not be saved."));
+
+            YD_Validator.showError(rootDom, error);
+
+            if (error !== undefined) {
+              showState(rootDom);
+              continue;
+            }
+
+            initialValues.set(rootDom[0], values.get(rootDom[0]));
+            showState(rootDom, "saved");
+            setTimeout(() => {
+              if (rootDom.hasClass("saved")) showState(rootDom);
+            }, 2000);
+          }
+        } catch (error) {
+          if (!error.aborted) {
+            rootDoms.forEach((rootDom) => {
+              showState(rootDom);
+              YD_Validator.showError(rootDom, error.message);
+            });
+          }
+        } finally {
+          autosaveState.isSaving = false;
+        }
+
+        window.yd_core.ui.updateChanges();
+
+        if (autosaveState.isPending) {
+          autosaveState.isPending = false;
+          await window.yd_core.action.autosave();
+        }
       },
     },
   });
 
-  // Track form change events and set data attribute accordingly
+  window.yd_core.history = {
+    /**
+     * Records the value change of an input, if its value differs from the last known one. Consecutive typing
+     * into the same input within a second is recorded as one change, and a new change clears the redo stack.
+     * @param {jQuery} rootDom - Root DOM element of a tracked input.
+     * @param {boolean} [isTyping=false] - Whether the change comes from typing (an `input` event).
+     */
+    record: (rootDom, isTyping = false) => {
+      if (isApplyingHistory || !lastValues.has(rootDom[0])) return;
+
+      const oldValue = lastValues.get(rootDom[0]);
+      const newValue = JSON.stringify(window.yd_core.ui.getFieldValue(rootDom));
+      if (oldValue === newValue) return;
+
+      lastValues.set(rootDom[0], newValue);
+      historyStacks.redo = [];
+
+      const lastChange = historyStacks.undo.at(-1);
+      const isSameTyping =
+        isTyping &&
+        lastChange?.isTyping &&
+        lastChange.rootDom[0] === rootDom[0] &&
+        Date.now() - lastChange.time < 1000;
+
+      if (isSameTyping) {
+        lastChange.newValue = newValue;
+        lastChange.time = Date.now();
+        if (lastChange.oldValue === newValue) historyStacks.undo.pop();
+      } else {
+        historyStacks.undo.push({
+          rootDom: rootDom,
+          oldValue: oldValue,
+          newValue: newValue,
+          time: Date.now(),
+          isTyping: isTyping,
+        });
+        if (historyStacks.undo.length > 100) historyStacks.undo.shift();
+      }
+
+      window.yd_core.history.updateButtons();
+    },
+
+    /**
+     * Undoes the last change of an input still on the page.
+     * @returns {Promise<void>}
+     */
+    undo: () => applyHistory("undo"),
+
+    /**
+     * Redoes the last undone change.
+     * @returns {Promise<void>}
+     */
+    redo: () => applyHistory("redo"),
+
+    /**
+     * Adds the undo and redo buttons at the top of the page content, and updates their disabled state.
+     */
+    updateButtons: () => {
+      var toolbarDom = $(".yd-core-history");
+
+      if (!toolbarDom.length) {
+        const getText = window.yd_core.ui.getText;
+
+        toolbarDom = $(`
+          <div class="yd-core-history">
+            <button type="button" class="button undo" title="${getText("Undo")} (Ctrl+Z)" disabled>
+              <span class="dashicons dashicons-undo" aria-hidden="true"></span>
+              <span class="screen-reader-text">${getText("Undo")}</span>
+            </button>
+            <button type="button" class="button redo" title="${getText("Redo")} (Ctrl+Shift+Z)" disabled>
+              <span class="dashicons dashicons-redo" aria-hidden="true"></span>
+              <span class="screen-reader-text">${getText("Redo")}</span>
+            </button>
+          </div>
+        `);
+
+        toolbarDom
+          .find(".undo")
+          .on("click", () => window.yd_core.history.undo());
+        toolbarDom
+          .find(".redo")
+          .on("click", () => window.yd_core.history.redo());
+        insertIntoPage(toolbarDom);
+      }
+
+      toolbarDom.find(".undo").prop("disabled", !historyStacks.undo.length);
+      toolbarDom.find(".redo").prop("disabled", !historyStacks.redo.length);
+    },
+  };
+
+  /**
+   * Undoes or redoes the last change of the given stack and moves it to the other stack.
+   * Changes of inputs removed from the page are dropped.
+   * @param {string} stackName - "undo" or "redo".
+   * @returns {Promise<void>}
+   */
+  const applyHistory = async (stackName) => {
+    if (isApplyingHistory) return;
+
+    const isUndo = stackName === "undo";
+    var change;
+
+    do {
+      change = historyStacks[stackName].pop();
+    } while (change && !change.rootDom[0].isConnected);
+
+    if (change) {
+      const value = isUndo ? change.oldValue : change.newValue;
+
+      isApplyingHistory = true;
+      try {
+        await window.yd_core.ui.setFieldValue(
+          change.rootDom,
+          JSON.parse(value),
+        );
+      } finally {
+        isApplyingHistory = false;
+      }
+
+      lastValues.set(
+        change.rootDom[0],
+        JSON.stringify(window.yd_core.ui.getFieldValue(change.rootDom)),
+      );
+      change.isTyping = false;
+      historyStacks[isUndo ? "redo" : "undo"].push(change);
+
+      window.yd_core.ui.updateChanges(change.rootDom);
+    }
+
+    window.yd_core.history.updateButtons();
+  };
+
+  // Compare the inputs with their initial values when they change, and take the current values as the
+  // initial ones when the form is saved
   $(window.document)
     .on("yd-form-change", (_, data = undefined) => {
-      const body = $(window.document.body);
-      if (data?.changed ?? true) {
-        body.attr("data-form-changed", "1");
+      if (data?.changed === false) {
+        window.yd_core.ui.snapshot();
       } else {
-        body.removeAttr("data-form-changed");
+        window.yd_core.ui.updateChanges();
       }
     })
     .on(
-      "input",
-      ".yd-core .yd-admin-ui-input:not(.ignored) input, body:not(.post-new-php) #title",
-      () => {
-        $(window.document).trigger("yd-form-change");
+      "input change yd-change",
+      ".yd-core .yd-admin-ui-input, body:not(.post-new-php) #title",
+      (e) => {
+        isDraftOutdated = true;
+        window.yd_core.ui.updateChanges($(e.currentTarget));
+
+        getTrackedDoms($(e.currentTarget)).each((_, rootDom) =>
+          window.yd_core.history.record(
+            $(rootDom),
+            e.type === "input" &&
+              $(e.target).is('textarea, input:not([type="hidden"])'),
+          ),
+        );
       },
     )
     .on("change", '.yd-core .yd-admin-ui-input input[type="checkbox"]', (e) => {
@@ -212,15 +1312,87 @@ jQuery(function ($) {
       e.preventDefault();
     });
 
-  // Reset form change state when valid form is submitted
+  // Save the modified inputs a second after the last change when the page enabled the autosave mode
+  $(window.document).on(
+    "input change yd-change",
+    ".yd-core .yd-admin-ui-input:not(.ignored)",
+    (e) => {
+      if (!window.yd_core.page.autosave) return;
+
+      const rootDom = $(e.currentTarget);
+      if (rootDom.parent().closest(".yd-admin-ui-input").length) return;
+
+      rootDom.removeClass("saved");
+      rootDom
+        .children(".yd-input-state")
+        .children(".yd-input-autosave")
+        .remove();
+
+      clearTimeout(autosaveState.timeoutId);
+      autosaveState.timeoutId = setTimeout(
+        () => window.yd_core.action.autosave(),
+        1000,
+      );
+    },
+  );
+
+  // Undo with Ctrl+Z and redo with Ctrl+Shift+Z (or Ctrl+Y) within the inputs, `.yd-core` being the admin body class
+  $(window.document).on("keydown", (e) => {
+    const key = e.key?.toLowerCase();
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || !["z", "y"].includes(key))
+      return;
+
+    const targetDom = $(e.target);
+    if (!targetDom.closest(".yd-core .yd-admin-ui-input").length) return;
+
+    const isRedo = key === "y" || e.shiftKey;
+    const change = historyStacks[isRedo ? "redo" : "undo"].at(-1);
+
+    // Text fields keep their native undo unless the change to apply is their own
+    if (
+      targetDom.is(
+        "input:not(:checkbox, :radio, :button), textarea, [contenteditable]",
+      ) &&
+      !change?.rootDom[0].contains(e.target)
+    )
+      return;
+
+    e.preventDefault();
+    if (isRedo) {
+      window.yd_core.history.redo();
+    } else {
+      window.yd_core.history.undo();
+    }
+  });
+
+  // Update conditional inputs when the inputs they refer to change
+  $(window.document).on("input change yd-change", () =>
+    window.yd_core.ui.checkConditions(),
+  );
+
+  // Block the submit of a form with invalid inputs, and reset form change state when valid form is submitted
   $('form [type="submit"]').on("click", (e) => {
+    if (!YD_Validator.validateForm($(e.currentTarget.form))) {
+      e.preventDefault();
+      return;
+    }
+
     if (e.currentTarget.form.checkValidity()) {
+      // The draft is kept until the page loads with the submitted values, as the save may still fail
+      window.yd_core.ui.saveDraft();
       $(window.document).trigger("yd-form-change", { changed: false });
     }
   });
 
+  // Keep a local draft of the modified inputs
+  setInterval(() => {
+    if (isDraftOutdated) window.yd_core.ui.saveDraft();
+  }, 5000);
+
   // Warn users about unsaved form changes on page unload
   window.addEventListener("beforeunload", (e) => {
+    if (isDraftOutdated) window.yd_core.ui.saveDraft();
+
     if ($(window.document.body).attr("data-form-changed")) {
       e.returnValue =
         "Are you sure to leave? It looks like you have been editing something.";
@@ -228,6 +1400,46 @@ jQuery(function ($) {
     }
   });
 
-  // Start UI initialization
-  window.yd_core.ui.init();
+  // Start UI initialization, then add the undo and redo buttons and offer to restore the local draft of the page
+  window.yd_core.ui.init().then(() => {
+    if ($(".yd-core .yd-admin-ui-input").length) {
+      window.yd_core.history.updateButtons();
+    }
+    window.yd_core.ui.checkDraft();
+  });
+
+  // Initialize inputs inserted later (e.g. repeater rows, AJAX-loaded boxes) and dispose removed ones
+  const observer = new MutationObserver((mutations) => {
+    const inputSelector = ".yd-admin-ui-input";
+    var hasNewInput = false;
+
+    for (const mutation of mutations) {
+      for (const node of mutation.removedNodes) {
+        // Moved nodes are removed and added again in the same batch
+        if (node.nodeType !== 1 || node.isConnected) continue;
+
+        $(node)
+          .find(inputSelector)
+          .addBack(inputSelector)
+          .each((_, rootDom) => window.yd_core.ui.dispose($(rootDom)));
+      }
+
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType !== 1) continue;
+
+        hasNewInput ||=
+          $(node)
+            .find(`${inputSelector}:not(.loaded)`)
+            .addBack(`${inputSelector}:not(.loaded)`).length > 0;
+      }
+    }
+
+    if (hasNewInput) window.yd_core.ui.init();
+  });
+
+  $(".yd-core")
+    .not(".yd-core .yd-core")
+    .each((_, containerDom) => {
+      observer.observe(containerDom, { childList: true, subtree: true });
+    });
 });
@@ -0,0 +1,314 @@
+/**
+ * YD_Input_Base class
+ * Base class of the YD admin UI input components. It captures the lifecycle shared by all input types: the root DOM,
+ * JSON config parsing, help-tip wiring, the hidden required-input shim used for form validation, height management
+ * of the absolutely positioned controls, the disabled state, the common `yd-change` event and the disposal of
+ * document-level handlers once the input is removed from the page.
+ *
+ * Input types extending it are registered with `window.yd_core.ui.registerType(name, Class)` and created by
+ * `window.yd_core.ui.init()` through the static `create()` method for every `.yd-admin-ui-input-{name}` element.
+ *
+ * Author: Yigit Demir
+ * Since: 1.0.0
+ * Version: 1.0.0
+ */
+
+"use strict";
+
+class YD_Input_Base {
+  /**
+   * Number of created inputs, used to give each input its own event namespace
+   *
+   * @type {number}
+   */
+  static #count = 0;
+
+  /**
+   * Event namespace of the document-level handlers bound by the input
+   *
+   * @type {string}
+   */
+  #eventNamespace = `.yd-input-${++YD_Input_Base.#count}`;
+
+  /**
+   * Root DOM element of the input (the `.yd-admin-ui-input` element)
+   *
+   * @type {jQuery}
+   */
+  #rootDom;
+
+  /**
+   * Configuration object passed to the input
+   *
+   * @type {Object}
+   */
+  #config;
+
+  /**
+   * Whether the input is disabled
+   *
+   * @type {boolean}
+   */
+  #isDisabled = false;
+
+  /**
+   * Creates an instance of the input and wires its help tip.
+   *
+   * @param {HTMLElement|string} rootDom - Root DOM element or selector
+   * @param {string|Object} [config={}] - JSON string of configuration or configuration object
+   */
+  constructor(rootDom, config = {}) {
+    this.#rootDom = jQuery(rootDom);
+    this.#config = YD_Input_Base.parseJSON(config, {});
+
+    YD_Input_Base.loadHelpTip(this.#rootDom);
+  }
+
+  /**
+   * Creates the input of a root DOM rendered by its PHP view. Input types whose constructor takes more than
+   * the root DOM and the `data-config` attribute override it.
+   *
+   * @param {jQuery} rootDom - Root DOM element
+   * @param {Object} [context={}] - Data prepared by init() for all inputs at once (e.g. `items` of selections)
+   * @returns {YD_Input_Base}
+   */
+  static create(rootDom, context = {}) {
+    return new this(rootDom, rootDom.attr("data-config"));
+  }
+
+  /**
+   * Parses a JSON string, passing non-string values through
+   *
+   * @param {*} value - JSON string or already parsed value
+   * @param {*} [fallback=undefined] - Value returned for empty or invalid JSON
+   * @returns {*}
+   */
+  static parseJSON(value, fallback = undefined) {
+    if (typeof value !== "string") return value ?? fallback;
+
+    try {
+      return JSON.parse(value) ?? fallback;
+    } catch (e) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Attaches event listeners to the help tip of an input for showing and hiding its tooltip text.
+   * The help tip of an input with an id focuses (and clicks) the control of the input on click.
+   *
+   * @param {jQuery} rootDom - Root DOM element containing the help-tip
+   */
+  static loadHelpTip(rootDom) {
+    var timeOutId, helpTip;
+
+    rootDom
+      .children(".help-tip")
+      .on("mouseenter focus", (e) => {
+        helpTip = jQuery(e.target);
+        timeOutId = setTimeout(() => {
+          helpTip.css("z-index", "999").find(".help-text").fadeIn(100);
+        }, 300);
+      })
+      .on("mouseleave blur", (e) => {
+        clearTimeout(timeOutId);
+        helpTip.find(".help-text").fadeOut(100, () => {
+          helpTip.css("z-index", "");
+        });
+      })
+      .on("click keyup keydown", (e) => {
+        if (e.type === "keydown") {
+          if ([13, 32].includes(e.keyCode)) {
+            e.preventDefault();
+          }
+        } else {
+          const id = jQuery(e.target).attr("data-input-id");
+          if (id?.length) {
+            if (e.type === "keyup" && ![13, 32].includes(e.keyCode)) return;
+
+            jQuery(`#${id}_input`)[0]?.focus();
+            jQuery(`#${id}_input_click`)[0]?.click();
+
+            e.preventDefault();
+          }
+        }
+      });
+  }
+
+  /**
+   * Returns the root DOM element
+   *
+   * @returns {jQuery}
+   */
+  getRootDom() {
+    return this.#rootDom;
+  }
+
+  /**
+   * Returns a configuration value, or the whole configuration object when no key is given
+   *
+   * @param {string} [key=undefined] - Configuration key
+   * @returns {*}
+   */
+  getConfig(key = undefined) {
+    return key === undefined ? this.#config : this.#config[key];
+  }
+
+  /**
+   * Modifies a configuration value
+   *
+   * @param {string} key - Configuration key
+   * @param {*} value - New value
+   */
+  modifyConfig(key, value) {
+    Object.defineProperty(this.#config, key, { value: value });
+  }
+
+  /**
+   * Returns the value of the input
+   *
+   * @returns {*}
+   */
+  getValue() {
+    return undefined;
+  }
+
+  /**
+   * Sets the value of the input
+   *
+   * @param {*} value - New value
+   * @returns {Promise<void>|void}
+   */
+  setValue(value) {}
+
+  /**
+   * Restores the value the input was rendered with
+   *
+   * @returns {Promise<void>|void}
+   */
+  reset() {}
+
+  /**
+   * Clears the value of the input
+   */
+  clear() {}
+
+  /**
+   * Returns the error of a value the rules of the page can not check (e.g. a count of items or a rejected pick),
+   * checked by `YD_Validator` before the rules
+   *
+   * @returns {string|undefined}
+   */
+  getError() {
+    return undefined;
+  }
+
+  /**
+   * Returns whether the input is disabled
+   *
+   * @returns {boolean}
+   */
+  isDisabled() {
+    return this.#isDisabled;
+  }
+
+  /**
+   * Disables the input, so it can not be changed and is not submitted
+   */
+  disable() {
+    this.#isDisabled = true;
+    this.#rootDom.addClass("disabled");
+  }
+
+  /**
+   * Enables the input again
+   */
+  enable() {
+    this.#isDisabled = false;
+    this.#rootDom.removeClass("disabled");
+  }
+
+  /**
+   * Returns whether the input is ignored by the form change tracking
+   *
+   * @returns {boolean}
+   */
+  isIgnored() {
+    return this.#rootDom.hasClass("ignored");
+  }
+
+  /**
+   * Binds a document-level event handler, which is unbound when the input is disposed
+   *
+   * @protected
+   * @param {string} events - Space separated event names
+   * @param {...*} args - Selector and/or handler, as passed to jQuery's on()
+   */
+  onDocument(events, ...args) {
+    jQuery(window.document).on(
+      events
+        .split(" ")
+        .filter((event) => event.length)
+        .map((event) => event + this.#eventNamespace)
+        .join(" "),
+      ...args,
+    );
+  }
+
+  /**
+   * Releases the input after its root DOM is removed from the page, unbinding its document-level handlers.
+   * Input types holding other resources (e.g. pending requests) override it and call `super.dispose()`.
+   */
+  dispose() {
+    jQuery(window.document).off(this.#eventNamespace);
+  }
+
+  /**
+   * Adds a hidden required input to the container while a required input is empty, so the browser's form
+   * validation blocks the submit, and removes it otherwise
+   *
+   * @protected
+   * @param {jQuery} containerDom - DOM element holding the required input
+   * @param {boolean} isEmpty - Whether the input has no value
+   */
+  updateRequiredInput(containerDom, isEmpty) {
+    containerDom.children("input[required]").remove();
+
+    if (isEmpty && this.#config.is_required && !this.#isDisabled) {
+      containerDom.append(
+        '<input type="text" required="" onkeypress="return false;" tabindex="-1" />',
+      );
+    }
+  }
+
+  /**
+   * Updates the height of the root DOM to fit an absolutely positioned control and the description
+   *
+   * @protected
+   * @param {jQuery} contentDom - Absolutely positioned control of the input
+   */
+  updateHeight(contentDom) {
+    this.#rootDom.height(
+      contentDom.outerHeight() +
+        (this.#rootDom.find(".description").outerHeight() ?? 0),
+    );
+  }
+
+  /**
+   * Triggers the common `yd-change` event when the value differs from the old one
+   *
+   * @protected
+   * @param {*} oldValue - Value before the change
+   * @param {*} newValue - Value after the change
+   * @returns {boolean} Whether the event was triggered
+   */
+  triggerChange(oldValue, newValue) {
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return false;
+
+    this.#rootDom.trigger("yd-change", {
+      oldValue: oldValue,
+      newValue: newValue,
+    });
+    return true;
+  }
+}
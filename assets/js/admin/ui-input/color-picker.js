@@ -13,7 +13,7 @@
 
 "use strict";
 
-class YD_Input_Color_Picker {
+class YD_Input_Color_Picker extends YD_Input_Base {
   /**
    * Root DOM element of the color picker.
    *
@@ -27,18 +27,38 @@ class YD_Input_Color_Picker {
    */
   #inputValue;
 
+  /**
+   * Colour value the picker was rendered with
+   *
+   * @type {string}
+   */
+  #initialValue;
+
+  /**
+   * Colour value of the last change event
+   *
+   * @type {string}
+   */
+  #lastValue;
+
   /**
    * Creates an instance of YD_Input_Color_Picker.
    *
    * @param {HTMLElement|string} rootDom - Root DOM element or selector
+   * @param {string} [config={}] - JSON string of configuration
    */
-  constructor(rootDom) {
+  constructor(rootDom, config = {}) {
+    super(rootDom, config);
+
     const onChangeColor = (e) => {
       this.#rootDom.trigger("yd-color-change", e.target.value);
+      this.#checkChange();
     };
 
-    this.#rootDom = jQuery(rootDom);
+    this.#rootDom = this.getRootDom();
     this.#inputValue = this.#rootDom.find("input");
+    this.#initialValue = this.#inputValue.val();
+    this.#lastValue = this.#initialValue;
 
     this.#inputValue.wpColorPicker({
       change: onChangeColor,
@@ -47,11 +67,76 @@ class YD_Input_Color_Picker {
   }
 
   /**
-   * Returns the root DOM element
+   * Returns the colour value
+   *
+   * @returns {string}
+   */
+  getValue() {
+    return this.#inputValue.val();
+  }
+
+  /**
+   * Sets the colour value, clearing the picker for an empty value
+   *
+   * @param {string} value - Colour value (e.g. `rgba(255,255,255,0.4)`)
+   */
+  setValue(value) {
+    if (!value) {
+      this.clear();
+      return;
+    }
+
+    this.#inputValue.wpColorPicker("color", value);
+    this.#inputValue.trigger("input");
+    this.#checkChange();
+  }
+
+  /**
+   * Restores the colour value the picker was rendered with
+   */
+  reset() {
+    this.setValue(this.#initialValue);
+  }
+
+  /**
+   * Clears the colour value
+   */
+  clear() {
+    this.#rootDom.find(".wp-picker-clear").trigger("click");
+    this.#inputValue.trigger("input");
+    this.#checkChange();
+  }
+
+  /**
+   * Disables the picker, so it can not be changed and is not submitted
+   */
+  disable() {
+    super.disable();
+    this.#rootDom.find(".wp-color-result").prop("disabled", true);
+    this.#inputValue.prop("disabled", true);
+  }
+
+  /**
+   * Enables the picker again
+   */
+  enable() {
+    super.enable();
+    this.#rootDom.find(".wp-color-result").prop("disabled", false);
+    this.#inputValue.prop("disabled", false);
+  }
+
+  /**
+   * Triggers the common change event when the colour value differs from the last one
    *
-   * @returns {jQuery}
+   * @private
    */
-  getRootDom() {
-    return this.#rootDom;
+  #checkChange() {
+    const oldValue = this.#lastValue;
+    const newValue = this.getValue();
+
+    this.#lastValue = newValue;
+    this.triggerChange(oldValue, newValue);
   }
 }
+
+window.yd_core.ui.registerType("color-picker", YD_Input_Color_Picker);
@@ -2,6 +2,18 @@
  * YD_Input_Dropdown class
  * A customizable and accessible dropdown input UI component designed for dynamic option rendering, keyboard navigation,
  * and seamless value selection. It utilizes jQuery for DOM manipulation and event handling.
+ * Long option lists are filtered with a search box in the open list, highlighting the matched text. The closed dropdown
+ * selects options with the arrow, Home, End, PageUp and PageDown keys and jumps to an option by typing its first letters.
+ * Options are either labels or objects of a `label` and the optional `group`, `disabled`, `icon`, `description` and
+ * `color` keys. Grouped options are listed under the group label, and disabled options and group labels are skipped
+ * by the keyboard navigation.
+ * With `is_multiple` the options are checked and unchecked in the open list, which keeps open and offers to select
+ * or clear all options matching the filter. The selected options are shown as chips, or as a summary when there are
+ * more than `max_chips` of them, and submitted with one `data_name[]` hidden input each.
+ * With `ajax_action_name` the options are requested with the `properties` of the dropdown when the list is opened
+ * first, cached by the page and reloaded by the refresh button of the list. A dropdown with `depends_on` also sends
+ * the value of the input of that data name as `depends_value` and reloads its options when that value changes
+ * (e.g. the states of the selected country).
  *
  * Author: Yigit Demir
  * Since: 1.0.0
@@ -10,7 +22,7 @@
 
 "use strict";
 
-class YD_Input_Dropdown {
+class YD_Input_Dropdown extends YD_Input_Base {
   /**
    * Root DOM element of the dropdown input
    *
@@ -40,25 +52,25 @@ class YD_Input_Dropdown {
   #dropdownDom;
 
   /**
-   * DOM element for the optional description
+   * DOM element for the option list
    *
    * @type {jQuery}
    */
-  #descriptionDom;
+  #list;
 
   /**
-   * DOM element for the option list
+   * Hidden input element storing the selected value, the hidden inputs of the selected values in multiple mode
    *
    * @type {jQuery}
    */
-  #list;
+  #input;
 
   /**
-   * Hidden input element storing the selected value
+   * Select all and clear all buttons of the open list in multiple mode
    *
    * @type {jQuery}
    */
-  #input;
+  #bulkActionsDom;
 
   /**
    * Display element showing the selected option name
@@ -67,35 +79,182 @@ class YD_Input_Dropdown {
    */
   #displayName;
 
+  /**
+   * Value selected when the dropdown was rendered, the selected values in multiple mode
+   *
+   * @type {string|string[]}
+   */
+  #initialValue;
+
+  /**
+   * Filter box shown at the top of the open list of long option lists
+   *
+   * @type {jQuery}
+   */
+  #filterDom;
+
+  /**
+   * Label HTML and text of the option items, as rendered before highlighting the filter matches
+   *
+   * @type {Map<HTMLElement, {html: string, text: string}>}
+   */
+  #itemLabels = new Map();
+
+  /**
+   * Text typed for jumping to an option while the list is closed, cleared half a second after the last key
+   *
+   * @type {{text: string, timeoutId: number|undefined}}
+   */
+  #typeAhead = { text: "", timeoutId: undefined };
+
+  /**
+   * Number of options of a list from which the open list shows the filter box
+   *
+   * @type {number}
+   */
+  static #filterMinOptions = 8;
+
+  /**
+   * Number of options moved by PageUp and PageDown
+   *
+   * @type {number}
+   */
+  static #pageSize = 10;
+
+  /**
+   * Remote options shared by all dropdowns on the page, keyed by the ajax action and the request data
+   *
+   * @type {Map<string, Object|Array>}
+   */
+  static #cache = new Map();
+
+  /**
+   * Number of rendered dropdowns, used for the unique ids of the option elements
+   *
+   * @type {number}
+   */
+  static #count = 0;
+
+  /**
+   * Prefix of the ids of the option and group label elements, also the abort key of the option requests
+   *
+   * @type {string}
+   */
+  #idPrefix;
+
+  /**
+   * Properties sent with the option requests of a remote dropdown
+   *
+   * @type {Object}
+   */
+  #properties;
+
+  /**
+   * Whether the remote options of the current `depends_value` are loaded
+   *
+   * @type {boolean}
+   */
+  #isLoaded = false;
+
+  /**
+   * The `depends_value` the remote options were last requested with
+   *
+   * @type {*}
+   */
+  #loadedDependsValue;
+
+  /**
+   * Spinner shown while the remote options are loading
+   *
+   * @type {jQuery}
+   */
+  #spinnerDom;
+
+  /**
+   * Button of the open list reloading the remote options
+   *
+   * @type {jQuery}
+   */
+  #refreshDom;
+
   /**
    * Creates an instance of YD_Input_Dropdown.
    *
    * @param {HTMLElement|string} rootDom - Root DOM element or selector
    * @param {string} config - JSON string of configuration
-   * @param {string} [value=""] - Selected value
+   * @param {string} [value=""] - Selected value, a JSON array of the selected values in multiple mode
+   * @param {string} [properties="{}"] - JSON string of the properties sent with the option requests
    */
-  constructor(rootDom, config, value = "") {
-    this.#rootDom = jQuery(rootDom);
-    this.#config = JSON.parse(config);
-    this.#value = value;
+  constructor(rootDom, config, value = "", properties = "{}") {
+    super(rootDom, config);
 
-    this.#config.options = Object.entries(this.#config.options);
+    this.#rootDom = this.getRootDom();
+    this.#config = this.getConfig();
+    this.#value = this.#config.is_multiple
+      ? [].concat(YD_Input_Base.parseJSON(value, [])).map(String)
+      : value;
+
+    this.#config.options = Object.entries(this.#config.options).map(
+      ([value, option]) => YD_Input_Dropdown.#toOption(value, option),
+    );
+    this.#idPrefix = `yd-dropdown-${++YD_Input_Dropdown.#count}`;
+    this.#properties = YD_Input_Base.parseJSON(properties, {});
+
+    // The selected values of a remote dropdown may not be in the rendered options, they are labeled when loaded
+    const missingValues = this.#config.ajax_action_name
+      ? []
+          .concat(this.#value ?? [])
+          .filter(
+            (value) =>
+              typeof value === "string" &&
+              value.length > 0 &&
+              !this.#config.options.some((option) => option.value === value),
+          )
+      : [];
+    missingValues.forEach((value) => {
+      this.#config.options.push(YD_Input_Dropdown.#toOption(value, value));
+    });
 
     this.#render();
     this.#loadEvents();
+
+    if (missingValues.length) this.#loadOptions();
   }
 
   /**
-   * Returns the root DOM element
+   * Creates the dropdown of a root DOM rendered by its PHP view
    *
-   * @returns {jQuery}
+   * @param {jQuery} rootDom - Root DOM element
+   * @returns {YD_Input_Dropdown}
+   */
+  static create(rootDom) {
+    return new this(
+      rootDom,
+      rootDom.attr("data-config"),
+      rootDom.attr("data-value"),
+      rootDom.attr("data-properties"),
+    );
+  }
+
+  /**
+   * Reloads the options of a remote dropdown, bypassing the cache
+   *
+   * @returns {Promise<void>}
    */
-  getRootDom() {
-    return this.#rootDom;
+  refresh() {
+    return this.#loadOptions(true);
   }
 
   /**
-   * Returns the hidden input element
+   * Aborts a pending option request and releases the input
+   */
+  dispose() {
+    window.yd_core.action.abortAjax(this.#idPrefix);
+    super.dispose();
+  }
+
+  /**
+   * Returns the hidden input element, the hidden inputs of the selected values in multiple mode
    *
    * @returns {jQuery}
    */
@@ -103,93 +262,1042 @@ class YD_Input_Dropdown {
     return this.#input;
   }
 
+  /**
+   * Returns the selected value, the selected values in the order of the options in multiple mode
+   *
+   * @returns {string|string[]}
+   */
+  getValue() {
+    if (this.#config.is_multiple) {
+      return this.#input.toArray().map((inputDom) => inputDom.value);
+    }
+
+    return this.#input.val();
+  }
+
+  /**
+   * Selects the option with the given value, or the options with the given values in multiple mode,
+   * ignoring unknown values
+   *
+   * @param {string|string[]} value - Option value or values to select
+   */
+  setValue(value) {
+    if (this.#config.is_multiple) {
+      this.#setValues([].concat(value ?? []).map(String));
+      return;
+    }
+
+    const item = this.#findItem(value);
+    if (item.length) this.#select(item);
+  }
+
+  /**
+   * Restores the value the dropdown was rendered with
+   */
+  reset() {
+    this.setValue(this.#initialValue);
+  }
+
+  /**
+   * Selects the first option that is not disabled, or no option in multiple mode
+   */
+  clear() {
+    if (this.#config.is_multiple) {
+      this.setValue([]);
+      return;
+    }
+
+    this.setValue(
+      this.#config.options.find((option) => !option.disabled)?.value,
+    );
+  }
+
+  /**
+   * Disables the dropdown, so it can not be changed and is not submitted
+   */
+  disable() {
+    super.disable();
+    this.#close(false);
+    this.#dropdownDom.attr({ tabindex: "-1", "aria-disabled": "true" });
+    this.#filterDom.prop("disabled", true);
+    this.#input.prop("disabled", true);
+    this.updateRequiredInput(this.#dropdownDom, false);
+  }
+
+  /**
+   * Enables the dropdown again
+   */
+  enable() {
+    super.enable();
+    this.#dropdownDom.attr("tabindex", "0").removeAttr("aria-disabled");
+    this.#filterDom.prop("disabled", false);
+    this.#input.prop("disabled", false);
+
+    if (this.#config.is_multiple) {
+      this.updateRequiredInput(this.#dropdownDom, !this.getValue().length);
+    }
+  }
+
+  /**
+   * Returns the option element of a value
+   *
+   * @private
+   * @param {string} value - Option value
+   * @returns {jQuery}
+   */
+  #findItem(value) {
+    return this.#list
+      .find("li[data-value]")
+      .filter((_, itemDom) => jQuery(itemDom).attr("data-value") === value)
+      .first();
+  }
+
+  /**
+   * Selects an option item and triggers the change events
+   *
+   * @private
+   * @param {jQuery} selectedItem - Option item to select
+   */
+  #select(selectedItem) {
+    const oldValue = this.getValue();
+
+    this.#getSelected()
+      .removeAttr("data-selected")
+      .attr("aria-selected", "false");
+    this.#getHovered().removeAttr("data-hover");
+    selectedItem.attr({
+      "data-selected": "",
+      "data-hover": "",
+      "aria-selected": "true",
+    });
+
+    this.#input.attr("value", selectedItem.attr("data-value"));
+    this.#input.val(selectedItem.attr("data-value"));
+    this.#renderDisplayName(selectedItem);
+
+    if (oldValue === this.getValue()) return;
+
+    this.#input.trigger("input");
+    this.#input.trigger("change");
+    this.triggerChange(oldValue, this.getValue());
+  }
+
+  /**
+   * Selects the options of the values in multiple mode, writing a hidden input per value, and triggers the change
+   * event
+   *
+   * @private
+   * @param {string[]} values - Option values to select
+   * @param {boolean} [isTriggering=true] - Whether to trigger the change event, not while rendering
+   */
+  #setValues(values, isTriggering = true) {
+    const oldValue = this.getValue();
+
+    this.#list.find("li[data-value]").each((_, itemDom) => {
+      const isSelected = values.includes(jQuery(itemDom).attr("data-value"));
+
+      jQuery(itemDom).attr({
+        "data-selected": isSelected ? "" : null,
+        "aria-selected": String(isSelected),
+      });
+    });
+
+    this.#input.remove();
+    this.#input = jQuery(
+      this.#getSelected()
+        .toArray()
+        .map(
+          (itemDom) =>
+            jQuery('<input type="hidden">')
+              .attr({
+                name: `${this.#config.data_name ?? ""}[]`,
+                value: jQuery(itemDom).attr("data-value"),
+              })
+              .prop("disabled", this.isDisabled())[0],
+        ),
+    ).appendTo(this.#dropdownDom);
+
+    this.#renderSummary();
+    this.updateRequiredInput(
+      this.#dropdownDom,
+      !this.isDisabled() && !this.#input.length,
+    );
+
+    // The height of the open list is not the height of the input
+    if (!this.#isOpen()) this.updateHeight(this.#dropdownDom);
+
+    if (isTriggering) this.triggerChange(oldValue, this.getValue());
+  }
+
+  /**
+   * Checks or unchecks an option in multiple mode
+   *
+   * @private
+   * @param {jQuery} itemDom - Option element
+   */
+  #toggle(itemDom) {
+    if (!itemDom.length || itemDom.attr("aria-disabled") === "true") return;
+
+    const value = itemDom.attr("data-value");
+    const values = this.getValue();
+
+    this.#setValues(
+      values.includes(value)
+        ? values.filter((item) => item !== value)
+        : [...values, value],
+    );
+  }
+
+  /**
+   * Checks or unchecks all enabled options matching the filter in multiple mode,
+   * the disabled options keep their state
+   *
+   * @private
+   * @param {boolean} isSelected - Whether to check the options
+   */
+  #selectAll(isSelected) {
+    const values = new Set(this.getValue());
+
+    this.#getItems().each((_, itemDom) => {
+      const value = jQuery(itemDom).attr("data-value");
+      if (isSelected) {
+        values.add(value);
+      } else {
+        values.delete(value);
+      }
+    });
+
+    this.#setValues([...values]);
+  }
+
   /**
    * Binds event listeners for keyboard and mouse interaction
    *
    * @private
    */
   #loadEvents() {
-    const changeValueBySelected = () => {
-      const selectedItem = this.#list.find("[data-hover]");
+    this.#dropdownDom
+      .on("click", (e) => {
+        if (this.isDisabled() || this.#filterDom.is(e.target)) return;
 
-      this.#list.find("[data-selected]").removeAttr("data-selected");
-      selectedItem.attr("data-selected", "");
+        const targetDom = jQuery(e.target);
+        const itemDom = targetDom.closest("li[data-value]");
 
-      this.#input.attr("value", selectedItem.attr("data-value"));
-      this.#input.trigger("input");
-      this.#input.trigger("change");
-      this.#displayName.text(selectedItem.text());
-    };
+        if (targetDom.closest(".chip > .remove").length) {
+          this.#removeChip(targetDom.closest(".chip"));
+        } else if (targetDom.closest(".refresh").length) {
+          this.#loadOptions(true);
+        } else if (targetDom.closest(".bulk-actions > button").length) {
+          this.#selectAll(targetDom.closest("button").hasClass("select-all"));
+        } else if (itemDom.length) {
+          // Disabled options keep the list open
+          if (itemDom.attr("aria-disabled") === "true") return false;
 
-    this.#dropdownDom
-      .on("click keyup keydown", (e) => {
-        if (e.type === "keydown" && [13, 32].includes(e.keyCode)) return false;
-
-        if (e.type === "keydown" && [38, 40].includes(e.keyCode)) {
-          const hoverListItem = this.#list.find("li[data-hover]");
-          const targetListItem =
-            e.keyCode === 38 ? hoverListItem.prev() : hoverListItem.next();
-
-          if (targetListItem.length > 0) {
-            hoverListItem.removeAttr("data-hover");
-            targetListItem.attr("data-hover", "");
-
-            const targetPositionTop = targetListItem.position().top;
-            const allItemsListHeight = this.#list.height();
-
-            if (
-              targetPositionTop > allItemsListHeight ||
-              targetPositionTop < 0
-            ) {
-              this.#list.scrollTop(this.#list.scrollTop() + targetPositionTop);
-            }
+          if (this.#config.is_multiple) {
+            this.#toggle(itemDom);
+          } else {
+            this.#select(itemDom);
+            this.#close();
           }
+        } else if (targetDom.closest(".group-label, .no-results").length) {
+          return false;
+        } else if (this.#isOpen()) {
+          this.#close();
         } else {
-          if (
-            ["keyup", "keydown"].includes(e.type) &&
-            ![13, 32].includes(e.keyCode)
-          )
-            return true;
+          this.#open();
+        }
 
-          if (this.#dropdownDom.hasClass("focused")) {
-            this.#dropdownDom.removeClass("focused");
-            this.#list.hide();
-          } else {
-            this.#list.find("[data-hover]").removeAttr("data-hover");
+        e.preventDefault();
+        e.stopPropagation();
+      })
+      .on("keydown", (e) => {
+        if (this.isDisabled()) return;
 
-            const selectedItem = this.#list.find("[data-selected]");
-            selectedItem.attr("data-hover", "");
+        // The buttons in the dropdown are clicked as the document handles Enter and Space for the dropdown
+        if (
+          jQuery(e.target).is(
+            ".chip > .remove, .bulk-actions > button, .refresh",
+          ) &&
+          ["Enter", " "].includes(e.key)
+        ) {
+          e.target.click();
+          return false;
+        }
 
-            this.#dropdownDom.addClass("focused");
-            this.#list.show();
+        if (this.#isOpen()) {
+          this.#onOpenKeyDown(e);
+        } else {
+          this.#onClosedKeyDown(e);
+        }
+      })
+      .on("keyup", (e) => {
+        // Enter and Space are handled on keydown, the document would click the dropdown on keyup
+        if ([13, 32].includes(e.keyCode) && !this.#filterDom.is(e.target)) {
+          e.preventDefault();
+          e.stopPropagation();
+        }
+      })
+      .on("focusout", (e) => {
+        if (this.#dropdownDom[0].contains(e.relatedTarget)) return;
+        this.#close(false);
+      });
 
-            var targetPosition = 0;
-            selectedItem.prevAll().each((_, itemDom) => {
-              targetPosition += jQuery(itemDom).outerHeight();
-            });
-            this.#list.scrollTop(targetPosition);
-          }
+    this.#filterDom.on("input", (e) => {
+      // Filtering does not change the value of the input
+      e.stopPropagation();
+      this.#filter(this.#filterDom.val());
+    });
+
+    this.#list.on(
+      "pointerenter",
+      'li[data-value]:not([aria-disabled="true"])',
+      (e) => {
+        this.#hover(jQuery(e.currentTarget), false);
+      },
+    );
+
+    if (this.#config.ajax_action_name && this.#config.depends_on) {
+      this.onDocument("input change yd-change", ".yd-admin-ui-input", (e) => {
+        if (e.currentTarget !== this.#getDependencyDom()[0]) return;
+
+        // The options of the new value are loaded right away, so a value of the old one is not submitted
+        if (
+          JSON.stringify(this.#getDependsValue()) !==
+          JSON.stringify(this.#loadedDependsValue)
+        ) {
+          this.#loadOptions();
         }
+      });
+    }
+  }
 
-        e.preventDefault();
-        e.stopPropagation();
+  /**
+   * Returns the root DOM of the input the options of the dropdown depend on
+   *
+   * @private
+   * @returns {jQuery}
+   */
+  #getDependencyDom() {
+    return window.yd_core.ui.findReferencedDom(
+      this.#rootDom,
+      this.#config.depends_on,
+    );
+  }
+
+  /**
+   * Returns the value of the input the options of the dropdown depend on, sent as `depends_value`
+   *
+   * @private
+   * @returns {*}
+   */
+  #getDependsValue() {
+    return window.yd_core.ui.getSubmittedValue(this.#getDependencyDom()) ?? "";
+  }
+
+  /**
+   * Requests the options of a remote dropdown, or takes them from the cache
+   *
+   * @private
+   * @param {boolean} [isRefreshing=false] - Whether to bypass the cache
+   * @returns {Promise<void>}
+   */
+  #loadOptions(isRefreshing = false) {
+    const actionName = this.#config.ajax_action_name;
+    const dependsValue = this.#config.depends_on
+      ? this.#getDependsValue()
+      : undefined;
+    const data = jQuery.extend(
+      {},
+      this.#properties,
+      dependsValue !== undefined ? { depends_value: dependsValue } : {},
+    );
+    const cacheKey = JSON.stringify([actionName, data]);
+
+    // The selected values are replaced only by the options of another `depends_value`, never on the first load
+    const isKeepingValue =
+      this.#loadedDependsValue === undefined ||
+      JSON.stringify(dependsValue) === JSON.stringify(this.#loadedDependsValue);
+
+    this.#isLoaded = false;
+    this.#loadedDependsValue = dependsValue;
+
+    if (isRefreshing) YD_Input_Dropdown.#cache.delete(cacheKey);
+
+    if (YD_Input_Dropdown.#cache.has(cacheKey)) {
+      window.yd_core.action.abortAjax(this.#idPrefix);
+      this.#setLoading(false);
+      this.#setOptions(YD_Input_Dropdown.#cache.get(cacheKey), isKeepingValue);
+      this.#isLoaded = true;
+      return Promise.resolve();
+    }
+
+    this.#setLoading(true);
+
+    return window.yd_core.action
+      .runAjax(null, actionName, data, { abortKey: this.#idPrefix })
+      .then((response) => {
+        YD_Input_Dropdown.#cache.set(cacheKey, response ?? []);
+        this.#setLoading(false);
+        this.#setOptions(response ?? [], isKeepingValue);
+        this.#isLoaded = true;
       })
-      .on("focusout", () => {
-        this.#dropdownDom.removeClass("focused");
-        this.#list.hide();
+      .catch((error) => {
+        if (error?.aborted) return;
+
+        this.#setLoading(false);
+        window.yd_core.ui.showError(error);
       });
+  }
+
+  /**
+   * Shows or hides the loading state of a remote dropdown
+   *
+   * @private
+   * @param {boolean} isLoading - Whether the options are loading
+   */
+  #setLoading(isLoading) {
+    this.#spinnerDom.toggleClass("is-active", isLoading);
+    this.#list.attr("aria-busy", String(isLoading));
+
+    if (isLoading) {
+      this.#list.children(".no-results").prop("hidden", true);
+    } else if (this.#isOpen()) {
+      this.#filter(this.#filterDom.val());
+    }
+  }
+
+  /**
+   * Replaces the options of a remote dropdown with the loaded ones. The selected values are kept when they are
+   * still options. Otherwise they are kept as options labeled by their values when keeping the value, so nothing
+   * changes without a user action, or a single dropdown selects its first enabled option.
+   *
+   * @private
+   * @param {Object|Array} options - Options keyed by value as in the config, or a list of option objects with
+   *                                 a `value` key
+   * @param {boolean} [isKeepingValue=true] - Whether to keep the selected values missing from the options
+   */
+  #setOptions(options, isKeepingValue = true) {
+    const value = this.getValue();
+
+    this.#config.options = Array.isArray(options)
+      ? options.map((option) =>
+          YD_Input_Dropdown.#toOption(String(option?.value ?? ""), option),
+        )
+      : Object.entries(options ?? {}).map(([value, option]) =>
+          YD_Input_Dropdown.#toOption(value, option),
+        );
+
+    if (isKeepingValue) {
+      []
+        .concat(value ?? [])
+        .filter(
+          (value) =>
+            value.length > 0 &&
+            !this.#config.options.some((option) => option.value === value),
+        )
+        .forEach((value) => {
+          this.#config.options.push(YD_Input_Dropdown.#toOption(value, value));
+        });
+    }
+
+    this.#list.children("li[data-value], li.group").remove();
+    this.#itemLabels.clear();
+    this.#renderOptions([].concat(value));
+    this.#list.append(this.#list.children(".no-results"));
+    this.#loadItemLabels();
+
+    if (this.#config.is_multiple) {
+      this.#setValues(value, !isKeepingValue);
+    } else {
+      const itemDom = this.#findItem(value);
+
+      if (itemDom.length) {
+        this.#select(itemDom);
+      } else if (isKeepingValue) {
+        // Only an empty value is missing here, it stays empty until an option is picked
+        this.#displayName.empty();
+      } else if (this.#getItems().length) {
+        this.#select(this.#getItems().first());
+      } else {
+        this.#input.attr("value", "").val("");
+        this.#displayName.empty();
+        this.#input.trigger("input");
+        this.#input.trigger("change");
+        this.triggerChange(value, this.getValue());
+      }
+    }
+
+    if (this.#isOpen()) this.#filter(this.#filterDom.val());
+  }
+
+  /**
+   * Handles a key of the open dropdown: moving the hover, selecting the hovered option with Enter (checking or
+   * unchecking it in multiple mode), and closing with Escape
+   *
+   * @private
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  #onOpenKeyDown(e) {
+    const isFilter = this.#filterDom.is(e.target);
+
+    switch (e.key) {
+      case "ArrowUp":
+      case "ArrowDown":
+      case "PageUp":
+      case "PageDown":
+        this.#hover(this.#getItem(this.#getHovered(), e.key));
+        break;
+      case "Home":
+      case "End":
+        // Home and End move the caret of the filter while it has text
+        if (isFilter && this.#filterDom.val().length) return;
+        this.#hover(this.#getItem(undefined, e.key));
+        break;
+      case " ":
+        if (isFilter) {
+          // Let the space be typed, the document would click the dropdown instead
+          e.stopPropagation();
+          return;
+        }
+      // falls through
+      case "Enter":
+        if (this.#config.is_multiple) {
+          this.#toggle(this.#getHovered());
+          break;
+        }
+
+        if (this.#getHovered().length) this.#select(this.#getHovered());
+        this.#close();
+        break;
+      case "Escape":
+        this.#close();
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  /**
+   * Handles a key of the closed dropdown: opening it, selecting the previous or next option like a native select,
+   * and jumping to the option starting with the typed text. The arrow keys open the list in multiple mode.
+   *
+   * @private
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  #onClosedKeyDown(e) {
+    if (this.#config.is_multiple) {
+      if (!["Enter", " ", "ArrowUp", "ArrowDown"].includes(e.key)) return;
+
+      this.#open();
+      e.preventDefault();
+      e.stopPropagation();
+      return;
+    }
+
+    switch (e.key) {
+      case "Enter":
+      case " ":
+        this.#open();
+        break;
+      case "ArrowUp":
+      case "ArrowDown":
+        if (e.altKey) {
+          this.#open();
+          break;
+        }
+      // falls through
+      case "PageUp":
+      case "PageDown":
+        this.#selectItem(this.#getItem(this.#getSelected(), e.key));
+        break;
+      case "Home":
+      case "End":
+        this.#selectItem(this.#getItem(undefined, e.key));
+        break;
+      default:
+        if (
+          e.key?.length !== 1 ||
+          e.ctrlKey ||
+          e.metaKey ||
+          e.altKey ||
+          (e.key === " " && !this.#typeAhead.text.length)
+        )
+          return;
+
+        this.#typeAheadTo(e.key);
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  /**
+   * Selects the next option whose label starts with the text typed within the last half second. Typing the same
+   * character repeatedly cycles through the options starting with it.
+   *
+   * @private
+   * @param {string} character - Typed character
+   */
+  #typeAheadTo(character) {
+    clearTimeout(this.#typeAhead.timeoutId);
+    this.#typeAhead.text += character.toLocaleLowerCase();
+    this.#typeAhead.timeoutId = setTimeout(() => {
+      this.#typeAhead.text = "";
+    }, 500);
+
+    const text = this.#typeAhead.text;
+    const isRepeated = [...text].every((char) => char === text[0]);
+    const search = isRepeated ? text[0] : text;
+
+    const itemDoms = this.#getItems().toArray();
+    const selectedIndex = itemDoms.indexOf(this.#getSelected()[0]);
+
+    // A repeated character moves to the next match, otherwise the current option is kept while it still matches
+    const startIndex =
+      isRepeated || text.length === 1 ? selectedIndex + 1 : selectedIndex;
+    const orderedDoms = [
+      ...itemDoms.slice(Math.max(startIndex, 0)),
+      ...itemDoms.slice(0, Math.max(startIndex, 0)),
+    ];
+
+    const matchDom = orderedDoms.find((itemDom) =>
+      this.#itemLabels
+        .get(itemDom)
+        .text.trim()
+        .toLocaleLowerCase()
+        .startsWith(search),
+    );
+
+    if (matchDom) this.#selectItem(jQuery(matchDom));
+  }
+
+  /**
+   * Returns the option to move to from an option by a navigation key
+   *
+   * @private
+   * @param {jQuery|undefined} itemDom - Current option, none for Home and End
+   * @param {string} key - ArrowUp, ArrowDown, PageUp, PageDown, Home or End
+   * @returns {jQuery}
+   */
+  #getItem(itemDom, key) {
+    const itemDoms = this.#getItems();
+    const lastIndex = itemDoms.length - 1;
+    const index = itemDom?.length ? itemDoms.index(itemDom) : -1;
+    const steps = {
+      ArrowUp: -1,
+      ArrowDown: 1,
+      PageUp: -YD_Input_Dropdown.#pageSize,
+      PageDown: YD_Input_Dropdown.#pageSize,
+    };
+
+    if (key === "Home") return itemDoms.first();
+    if (key === "End") return itemDoms.last();
+    if (index < 0) return itemDoms.first();
+
+    return itemDoms.eq(Math.min(Math.max(index + steps[key], 0), lastIndex));
+  }
+
+  /**
+   * Returns the options that can be navigated to, the enabled ones matching the filter
+   *
+   * @private
+   * @returns {jQuery}
+   */
+  #getItems() {
+    return this.#list.find(
+      'li[data-value]:not([hidden]):not([aria-disabled="true"])',
+    );
+  }
+
+  /**
+   * Returns the selected option
+   *
+   * @private
+   * @returns {jQuery}
+   */
+  #getSelected() {
+    return this.#list.find("li[data-selected]");
+  }
+
+  /**
+   * Returns the hovered option
+   *
+   * @private
+   * @returns {jQuery}
+   */
+  #getHovered() {
+    return this.#list.find("li[data-hover]");
+  }
+
+  /**
+   * Selects an option of the closed dropdown and hovers it, so the list opens at it
+   *
+   * @private
+   * @param {jQuery} itemDom - Option to select
+   */
+  #selectItem(itemDom) {
+    if (!itemDom.length) return;
+    this.#select(itemDom);
+  }
+
+  /**
+   * Hovers an option, scrolling the list to it when needed
+   *
+   * @private
+   * @param {jQuery} itemDom - Option to hover
+   * @param {boolean} [isScrolling=true] - Whether to scroll the list to the option
+   */
+  #hover(itemDom, isScrolling = true) {
+    if (!itemDom.length) return;
+
+    this.#getHovered().removeAttr("data-hover");
+    itemDom.attr("data-hover", "");
+    this.#dropdownDom
+      .add(this.#filterDom)
+      .attr("aria-activedescendant", itemDom.attr("id"));
+
+    if (!isScrolling) return;
+
+    const itemTop = itemDom.position().top;
+    const listHeight = this.#list.height();
+
+    if (itemTop < 0) {
+      this.#list.scrollTop(this.#list.scrollTop() + itemTop);
+    } else if (itemTop + itemDom.outerHeight() > listHeight) {
+      this.#list.scrollTop(
+        this.#list.scrollTop() + itemTop + itemDom.outerHeight() - listHeight,
+      );
+    }
+  }
+
+  /**
+   * Returns whether the option list is open
+   *
+   * @private
+   * @returns {boolean}
+   */
+  #isOpen() {
+    return this.#dropdownDom.hasClass("focused");
+  }
+
+  /**
+   * Opens the option list at the selected option, focusing the filter box of long lists
+   *
+   * @private
+   */
+  #open() {
+    this.#dropdownDom.addClass("focused").attr("aria-expanded", "true");
+    this.#filter("");
+    this.#list.show();
+
+    const selectedDom = this.#getSelected().first();
+    this.#hover(
+      selectedDom.length ? selectedDom : this.#getItems().first(),
+      false,
+    );
+
+    this.#list.scrollTop(0);
+    if (selectedDom.length) {
+      // The group label of the first option of a group is shown with it
+      const topDom = selectedDom.is(":first-child")
+        ? selectedDom.closest(".group")
+        : selectedDom;
+      this.#list.scrollTop(
+        (topDom.length ? topDom : selectedDom).position().top,
+      );
+    }
+
+    this.#bulkActionsDom.show();
+    this.#refreshDom.show();
+
+    // Remote options are not counted before they are loaded
+    if (
+      this.#config.ajax_action_name ||
+      this.#config.options.length >= YD_Input_Dropdown.#filterMinOptions
+    ) {
+      this.#filterDom.show()[0].focus();
+    }
+
+    if (this.#config.ajax_action_name && !this.#isLoaded) this.#loadOptions();
+  }
+
+  /**
+   * Closes the option list, clearing its filter. The hover returns to the selected option, so a list closed
+   * with Escape keeps the value it was opened with.
+   *
+   * @private
+   * @param {boolean} [isFocusing=true] - Whether to move the focus from the filter box or the buttons of the list
+   *                                       back to the dropdown
+   */
+  #close(isFocusing = true) {
+    if (!this.#isOpen()) return;
+
+    const hasInnerFocus = this.#filterDom
+      .add(this.#bulkActionsDom.children())
+      .add(this.#refreshDom)
+      .is(window.document.activeElement);
+
+    this.#dropdownDom.removeClass("focused").attr("aria-expanded", "false");
+    this.#list.hide();
+    this.#bulkActionsDom.hide();
+    this.#refreshDom.hide();
+    this.#filterDom.val("").hide();
+    this.#filter("");
+
+    this.#getHovered().removeAttr("data-hover");
+    this.#getSelected().first().attr("data-hover", "");
+    this.#dropdownDom.add(this.#filterDom).removeAttr("aria-activedescendant");
+
+    if (isFocusing && hasInnerFocus) this.#dropdownDom[0].focus();
+
+    if (this.#config.is_multiple) this.updateHeight(this.#dropdownDom);
+  }
+
+  /**
+   * Shows only the options whose label contains the text, highlighting the matched part
+   *
+   * @private
+   * @param {string} text - Text to filter by, empty to show all options
+   */
+  #filter(text) {
+    const search = text.trim().toLocaleLowerCase();
+
+    this.#list.find("li[data-value]").each((_, itemDom) => {
+      const label = this.#itemLabels.get(itemDom);
+      const labelDom = jQuery(itemDom).children(".label");
+      const index = search.length
+        ? label.text.toLocaleLowerCase().indexOf(search)
+        : -1;
+
+      jQuery(itemDom).prop("hidden", search.length > 0 && index < 0);
+
+      if (index < 0) {
+        labelDom.html(label.html);
+      } else {
+        labelDom
+          .empty()
+          .append(
+            window.document.createTextNode(label.text.slice(0, index)),
+            jQuery("<mark></mark>").text(
+              label.text.slice(index, index + search.length),
+            ),
+            window.document.createTextNode(
+              label.text.slice(index + search.length),
+            ),
+          );
+      }
+    });
+
+    this.#list.children(".group").each((_, groupDom) => {
+      jQuery(groupDom).prop(
+        "hidden",
+        !jQuery(groupDom).find("li[data-value]:not([hidden])").length,
+      );
+    });
 
     this.#list
-      .find("li")
-      .on("pointerenter", (e) => {
-        this.#list.find("[data-hover]").removeAttr("data-hover");
-        jQuery(e.target).attr("data-hover", "");
-        e.preventDefault();
-      })
-      .on("click", (e) => {
-        changeValueBySelected();
-        e.preventDefault();
+      .children(".no-results")
+      .prop(
+        "hidden",
+        this.#list.find("li[data-value]:not([hidden])").length > 0,
+      );
+
+    // A hidden option can not be selected with Enter
+    if (!this.#getHovered().is(":not([hidden])")) {
+      this.#getHovered().removeAttr("data-hover");
+      this.#hover(this.#getItems().first());
+    }
+  }
+
+  /**
+   * Converts an option of the config to an option object
+   *
+   * @private
+   * @param {string} value - Value of the option
+   * @param {string|Object} option - Label of the option, or an object of the label and the optional keys
+   * @returns {{value: string, label: string, group: string|undefined, disabled: boolean, icon: string|undefined, description: string|undefined, color: string|undefined}}
+   */
+  static #toOption(value, option) {
+    if (option === null || typeof option !== "object") {
+      option = { label: option };
+    }
+
+    return {
+      value: value,
+      label: String(option.label ?? ""),
+      group: option.group?.length ? String(option.group) : undefined,
+      disabled: option.disabled === true,
+      icon: option.icon?.length ? option.icon : undefined,
+      description: option.description?.length ? option.description : undefined,
+      color: option.color?.length ? option.color : undefined,
+    };
+  }
+
+  /**
+   * Renders the element of an option: its icon or color swatch, label and description
+   *
+   * @private
+   * @param {Object} option - Option object
+   * @param {number} index - Index of the option, used for its id
+   * @param {boolean} isSelected - Whether the option is selected
+   * @returns {jQuery}
+   */
+  #renderOption(option, index, isSelected) {
+    // Labels and descriptions may come from remote responses, so they are set as text
+    const itemDom = jQuery('<li role="option"></li>')
+      .append(jQuery('<span class="label"></span>').text(option.label))
+      .attr({
+        id: `${this.#idPrefix}-option-${index}`,
+        "data-value": option.value,
+        "aria-selected": String(isSelected),
+        "aria-disabled": option.disabled ? "true" : null,
       });
+
+    if (isSelected) itemDom.attr("data-selected", "");
+
+    if (option.color) {
+      jQuery('<span class="swatch" aria-hidden="true"></span>')
+        .css("background-color", option.color)
+        .prependTo(itemDom);
+    }
+
+    if (option.icon?.startsWith("dashicons-")) {
+      jQuery('<span class="option-icon dashicons" aria-hidden="true"></span>')
+        .addClass(option.icon)
+        .prependTo(itemDom);
+    } else if (option.icon) {
+      jQuery('<img class="option-icon" alt="">')
+        .attr("src", option.icon)
+        .prependTo(itemDom);
+    }
+
+    if (this.#config.is_multiple) {
+      itemDom.prepend('<span class="check" aria-hidden="true"></span>');
+    }
+
+    if (option.description) {
+      jQuery('<span class="option-description"></span>')
+        .text(option.description)
+        .appendTo(itemDom);
+    }
+
+    return itemDom;
+  }
+
+  /**
+   * Renders the options in the list, the options of a group under its label in the place of the first one
+   *
+   * @private
+   * @param {string[]} selectedValues - Values of the selected options
+   */
+  #renderOptions(selectedValues) {
+    const groupDoms = new Map();
+
+    this.#config.options.forEach((option, index) => {
+      const itemDom = this.#renderOption(
+        option,
+        index,
+        selectedValues.includes(option.value),
+      );
+
+      if (option.group === undefined) {
+        this.#list.append(itemDom);
+        return;
+      }
+
+      if (!groupDoms.has(option.group)) {
+        const labelId = `${this.#idPrefix}-group-${groupDoms.size}`;
+        const groupDom = jQuery(
+          `<li class="group" role="group" aria-labelledby="${labelId}"><span class="group-label" id="${labelId}"></span><ul role="none"></ul></li>`,
+        ).appendTo(this.#list);
+
+        groupDom.children(".group-label").text(option.group);
+        groupDoms.set(option.group, groupDom);
+      }
+
+      groupDoms.get(option.group).children("ul").append(itemDom);
+    });
+  }
+
+  /**
+   * Shows the icon, color swatch and label of an option as the display name of the dropdown
+   *
+   * @private
+   * @param {jQuery} itemDom - Option element
+   */
+  #renderDisplayName(itemDom) {
+    this.#displayName
+      .empty()
+      .append(
+        itemDom.children(".option-icon, .swatch").clone(),
+        jQuery('<span class="label"></span>').html(
+          this.#itemLabels.get(itemDom[0]).html,
+        ),
+      );
+  }
+
+  /**
+   * Shows the selected options of multiple mode as chips with a remove button, or the number of the selected
+   * options when there are more than `max_chips` of them
+   *
+   * @private
+   */
+  #renderSummary() {
+    const getText = window.yd_core.ui.getText;
+    const selectedDoms = this.#getSelected();
+    const maxChips = this.#config.max_chips ?? 3;
+
+    this.#displayName.empty().toggleClass("placeholder", !selectedDoms.length);
+
+    if (!selectedDoms.length) {
+      this.#displayName.text(getText("Select options"));
+      return;
+    }
+
+    if (selectedDoms.length > maxChips) {
+      this.#displayName.text(
+        getText("%s selected").replace("%s", selectedDoms.length),
+      );
+      return;
+    }
+
+    const chipsDom = jQuery('<ul class="chips"></ul>').appendTo(
+      this.#displayName,
+    );
+
+    selectedDoms.each((_, itemDom) => {
+      const label = this.#itemLabels.get(itemDom);
+      const chipDom = jQuery('<li class="chip"></li>')
+        .attr("data-value", jQuery(itemDom).attr("data-value"))
+        .append(
+          jQuery(itemDom).children(".option-icon, .swatch").clone(),
+          jQuery('<span class="label"></span>').html(label.html),
+        )
+        .appendTo(chipsDom);
+
+      // Disabled options can not be unchecked
+      if (jQuery(itemDom).attr("aria-disabled") !== "true") {
+        jQuery('<span class="remove" role="button" tabindex="0">x</span>')
+          .attr("aria-label", `${getText("Remove")} ${label.text.trim()}`)
+          .prependTo(chipDom);
+      }
+    });
+  }
+
+  /**
+   * Unchecks the option of a chip, moving the focus from its remove button back to the dropdown
+   *
+   * @private
+   * @param {jQuery} chipDom - Chip element
+   */
+  #removeChip(chipDom) {
+    const hasFocus = chipDom[0].contains(window.document.activeElement);
+
+    this.#toggle(this.#findItem(chipDom.attr("data-value")));
+    if (hasFocus) this.#dropdownDom[0].focus();
   }
 
   /**
@@ -198,37 +1306,122 @@ class YD_Input_Dropdown {
    * @private
    */
   #render() {
-    const selectedValue = this.#value.length
-      ? this.#config.options.find((item) => item[0] === this.#value)
-      : this.#config.options[0];
+    if (this.#config.is_multiple) {
+      this.#renderMultiple();
+      return;
+    }
+
+    const options = this.#config.options;
+    const selectedOption =
+      options.find((option) => option.value === this.#value) ??
+      options.find((option) => !option.disabled) ??
+      options[0];
 
     this.#dropdownDom = this.#rootDom
       .append(
         `
-			  <div class="dropdown regular-text" tabindex="0" id=${this.#rootDom.attr("id")?.length ? this.#rootDom.attr("id") + "_input" : ""}>
-				  <div class="display-name">${selectedValue[1]}</div>
-				  <ul style="display:none;">
-				  ${this.#config.options
-            .map(
-              (item) =>
-                `<li data-value="${item[0]}" ${item[0] === selectedValue[0] ? 'data-selected="" data-hover=""' : ""}>${item[1]}</li>`,
-            )
-            .join("")}
-				  </ul>
-				  <input type="hidden" name="${this.#config?.data_name ?? ""}" value="${selectedValue[0]}">
+			  <div class="dropdown regular-text" tabindex="0" role="combobox" aria-haspopup="listbox" aria-controls="${this.#idPrefix}-list" aria-expanded="false" id=${this.#rootDom.attr("id")?.length ? this.#rootDom.attr("id") + "_input" : ""}>
+				  <div class="display-name"></div>
+				  <input type="text" class="filter" style="display:none;" autocomplete="off" placeholder="${window.yd_core.ui.getText("Search")}" aria-label="${window.yd_core.ui.getText("Search")}" aria-controls="${this.#idPrefix}-list">
+				  <ul role="listbox" id="${this.#idPrefix}-list" style="display:none;"></ul>
+				  <input type="hidden" name="${this.#config?.data_name ?? ""}">
 			  </div>
 		  `,
       )
       .find(".dropdown");
 
-    this.#list = this.#dropdownDom.find("ul");
-    this.#input = this.#dropdownDom.find('input[type="hidden"]');
-    this.#displayName = this.#dropdownDom.find(".display-name");
-    this.#descriptionDom = this.#rootDom.find(".description");
+    this.#initialValue = selectedOption?.value;
+    this.#input = this.#dropdownDom.children('input[type="hidden"]');
+    this.#renderList([this.#initialValue]);
 
-    this.#rootDom.height(
-      this.#dropdownDom.outerHeight() +
-        (this.#descriptionDom.outerHeight() ?? 0),
+    const selectedDom = this.#getSelected();
+    selectedDom.attr("data-hover", "");
+    this.#input.attr("value", selectedOption?.value ?? "");
+    if (selectedDom.length) this.#renderDisplayName(selectedDom);
+
+    this.updateHeight(this.#dropdownDom);
+  }
+
+  /**
+   * Renders the dropdown of multiple mode, with the bulk action buttons and the hidden inputs of the selected values
+   *
+   * @private
+   */
+  #renderMultiple() {
+    const getText = window.yd_core.ui.getText;
+    const optionValues = this.#config.options.map((option) => option.value);
+
+    this.#dropdownDom = this.#rootDom
+      .append(
+        `
+			  <div class="dropdown multiple regular-text" tabindex="0" role="combobox" aria-haspopup="listbox" aria-controls="${this.#idPrefix}-list" aria-expanded="false" id=${this.#rootDom.attr("id")?.length ? this.#rootDom.attr("id") + "_input" : ""}>
+				  <div class="display-name"></div>
+				  <input type="text" class="filter" style="display:none;" autocomplete="off" placeholder="${getText("Search")}" aria-label="${getText("Search")}" aria-controls="${this.#idPrefix}-list">
+				  <div class="bulk-actions" style="display:none;">
+					  <button type="button" class="button-link select-all">${getText("Select all")}</button>
+					  <button type="button" class="button-link clear-all">${getText("Clear all")}</button>
+				  </div>
+				  <ul role="listbox" aria-multiselectable="true" id="${this.#idPrefix}-list" style="display:none;"></ul>
+			  </div>
+		  `,
+      )
+      .find(".dropdown");
+
+    this.#initialValue = this.#value.filter((value) =>
+      optionValues.includes(value),
+    );
+    this.#input = jQuery();
+    this.#bulkActionsDom = this.#dropdownDom.children(".bulk-actions");
+    this.#renderList(this.#initialValue);
+
+    this.#setValues(this.#initialValue, false);
+  }
+
+  /**
+   * Initializes the references of the elements shared by both modes and renders the options in the list
+   *
+   * @private
+   * @param {string[]} selectedValues - Values of the selected options
+   */
+  #renderList(selectedValues) {
+    this.#list = this.#dropdownDom.children("ul");
+    this.#filterDom = this.#dropdownDom.children(".filter");
+    this.#displayName = this.#dropdownDom.children(".display-name");
+    this.#bulkActionsDom ??= jQuery();
+
+    this.#spinnerDom = jQuery();
+    this.#refreshDom = jQuery();
+
+    if (this.#config.ajax_action_name) {
+      this.#spinnerDom = jQuery('<span class="spinner"></span>').insertAfter(
+        this.#displayName,
+      );
+      this.#refreshDom = jQuery(
+        `<button type="button" class="button-link refresh" style="display:none;"><span class="dashicons dashicons-update" aria-hidden="true"></span>${window.yd_core.ui.getText("Refresh")}</button>`,
+      ).insertBefore(this.#list);
+    }
+
+    this.#renderOptions(selectedValues);
+    this.#list.append(
+      `<li class="no-results" role="presentation" hidden>${window.yd_core.ui.getText("No results found")}</li>`,
     );
+    this.#loadItemLabels();
+  }
+
+  /**
+   * Keeps the label HTML and text of the rendered options, restored after highlighting the filter matches
+   *
+   * @private
+   */
+  #loadItemLabels() {
+    this.#list.find("li[data-value]").each((_, itemDom) => {
+      const labelDom = jQuery(itemDom).children(".label");
+      this.#itemLabels.set(itemDom, {
+        html: labelDom.html(),
+        text: labelDom.text(),
+      });
+    });
   }
 }
+
+window.yd_core.ui.registerType("dropdown", YD_Input_Dropdown);
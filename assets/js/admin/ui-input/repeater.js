@@ -0,0 +1,614 @@
+/**
+ * YD_Input_Repeater class
+ * A repeater input UI component for lists of structured rows. Every row holds the child inputs of a template rendered
+ * by the PHP view (text, dropdown, selection, media, colour, ...) named `data_name[index][field]`.
+ * Rows can be added, removed, duplicated and reordered by dragging their handle or with Alt+Up/Down keys,
+ * within the configured minimum and maximum number of rows. The input names are re-indexed after every change
+ * and the child inputs of new rows are initialized through `window.yd_core.ui.init()`.
+ *
+ * Author: Yigit Demir
+ * Since: 1.0.0
+ * Version: 1.0.0
+ */
+
+"use strict";
+
+class YD_Input_Repeater extends YD_Input_Base {
+  /**
+   * Placeholder of the row index in the row template
+   *
+   * @type {string}
+   */
+  static #indexPlaceholder = "__INDEX__";
+
+  /**
+   * Root DOM element of the repeater input
+   *
+   * @type {jQuery}
+   */
+  #rootDom;
+
+  /**
+   * Configuration object passed to the component
+   *
+   * @type {Object}
+   */
+  #config;
+
+  /**
+   * DOM element of the repeater container
+   *
+   * @type {jQuery}
+   */
+  #repeaterDom;
+
+  /**
+   * DOM element holding the rows
+   *
+   * @type {jQuery}
+   */
+  #rowsDom;
+
+  /**
+   * Button adding a new row
+   *
+   * @type {jQuery}
+   */
+  #addButton;
+
+  /**
+   * HTML of the row template
+   *
+   * @type {string}
+   */
+  #templateHtml;
+
+  /**
+   * Data name the row template was rendered with, followed by the index placeholder in its input names
+   *
+   * @type {string}
+   */
+  #templateDataName;
+
+  /**
+   * Rows the repeater was rendered with
+   *
+   * @type {Array<Object>}
+   */
+  #initialValue;
+
+  /**
+   * Value of the last change event, used to detect changes of the rows, taken once the child inputs are loaded
+   *
+   * @type {Array<Object>|undefined}
+   */
+  #lastValue;
+
+  /**
+   * Whether the rows are being replaced, so the intermediate changes are not reported
+   *
+   * @type {boolean}
+   */
+  #isSettingValue = false;
+
+  /**
+   * Creates an instance of YD_Input_Repeater.
+   *
+   * @param {HTMLElement|string} rootDom - Root DOM element or selector
+   * @param {string} config - JSON string of configuration
+   * @param {string} [value="[]"] - JSON string of the rows
+   */
+  constructor(rootDom, config, value = "[]") {
+    super(rootDom, config);
+
+    this.#rootDom = this.getRootDom();
+    this.#config = this.getConfig();
+    this.#initialValue = Object.values(YD_Input_Base.parseJSON(value, []));
+
+    this.#repeaterDom = this.#rootDom.children(".repeater");
+    this.#rowsDom = this.#repeaterDom.children(".rows");
+    this.#addButton = this.#repeaterDom.children(".add");
+    this.#templateHtml = this.#repeaterDom.children("template").html();
+    this.#templateDataName = this.#config.data_name;
+
+    this.#rowsDom
+      .children(".row")
+      .each((_, rowDom) => this.#loadRowEvents(jQuery(rowDom)));
+    this.#loadEvents();
+    this.#updateRows(false);
+
+    // The child inputs are created after the repeater, so the rows are read once they are loaded
+    this.onDocument("yd-inputs-loaded", () => {
+      this.#lastValue ??= this.getValue();
+    });
+  }
+
+  /**
+   * Creates the repeater of a root DOM rendered by its PHP view
+   *
+   * @param {jQuery} rootDom - Root DOM element
+   * @returns {YD_Input_Repeater}
+   */
+  static create(rootDom) {
+    return new this(
+      rootDom,
+      rootDom.attr("data-config"),
+      rootDom.attr("data-value"),
+    );
+  }
+
+  /**
+   * Returns the rows as objects of the child input values keyed by field name
+   *
+   * @returns {Array<Object>}
+   */
+  getValue() {
+    return this.#rowsDom
+      .children(".row")
+      .toArray()
+      .map((rowDom) => this.#getRowValue(jQuery(rowDom)));
+  }
+
+  /**
+   * Replaces the rows with the given ones, adding empty rows up to the minimum
+   *
+   * @param {Array<Object>} value - Rows as objects of the child input values keyed by field name
+   * @returns {Promise<void>}
+   */
+  setValue(value) {
+    const rows = Object.values(value ?? {});
+
+    this.#isSettingValue = true;
+    this.#rowsDom.children(".row").remove();
+
+    return this.#addRows(Math.max(rows.length, this.#config.min ?? 0))
+      .then((rowDoms) =>
+        Promise.all(
+          rowDoms.map((rowDom, index) =>
+            this.#setRowValue(rowDom, rows[index] ?? {}),
+          ),
+        ),
+      )
+      .finally(() => {
+        this.#isSettingValue = false;
+        this.#checkChange();
+      });
+  }
+
+  /**
+   * Restores the rows the repeater was rendered with
+   *
+   * @returns {Promise<void>}
+   */
+  reset() {
+    return this.setValue(this.#initialValue);
+  }
+
+  /**
+   * Removes all rows, keeping empty rows up to the minimum
+   *
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this.setValue([]);
+  }
+
+  /**
+   * Disables the repeater and its child inputs, so they can not be changed and are not submitted
+   */
+  disable() {
+    super.disable();
+    this.#updateFieldsDisabled(this.#rowsDom.children(".row"));
+    this.#updateRows(false);
+  }
+
+  /**
+   * Enables the repeater and its child inputs again
+   */
+  enable() {
+    super.enable();
+    this.#updateFieldsDisabled(this.#rowsDom.children(".row"));
+    this.#updateRows(false);
+  }
+
+  /**
+   * Binds the add button and the change tracking of the child inputs
+   *
+   * @private
+   */
+  #loadEvents() {
+    this.#addButton.on("click", (e) => {
+      e.preventDefault();
+
+      if (this.isDisabled() || this.#isFull()) return;
+
+      this.#addRows(1).then(([rowDom]) => this.#focusRow(rowDom));
+    });
+
+    this.#rowsDom
+      .on("yd-change", (e) => {
+        // Changes of the child inputs are reported as a change of the repeater
+        e.stopPropagation();
+        this.#checkChange();
+      })
+      .on("input change", () => this.#checkChange());
+  }
+
+  /**
+   * Binds the remove, duplicate and reordering actions of a row
+   *
+   * @private
+   * @param {jQuery} rowDom - Row DOM
+   */
+  #loadRowEvents(rowDom) {
+    const actionsDom = rowDom.children(".row-actions");
+
+    actionsDom.children(".remove").on("click", (e) => {
+      e.preventDefault();
+
+      const rowCount = this.#rowsDom.children(".row").length;
+      if (this.isDisabled() || rowCount <= (this.#config.min ?? 0)) return;
+
+      const nextRowDom = rowDom.next(".row").length
+        ? rowDom.next(".row")
+        : rowDom.prev(".row");
+
+      rowDom.remove();
+      this.#updateRows();
+
+      if (nextRowDom.length) {
+        nextRowDom.children(".handle").trigger("focus");
+      } else {
+        this.#addButton.trigger("focus");
+      }
+    });
+
+    actionsDom.children(".duplicate").on("click", (e) => {
+      e.preventDefault();
+
+      if (this.isDisabled() || this.#isFull()) return;
+
+      const row = this.#getRowValue(rowDom);
+
+      this.#isSettingValue = true;
+      this.#addRows(1, rowDom)
+        .then(([newRowDom]) =>
+          this.#setRowValue(newRowDom, row).then(() => newRowDom),
+        )
+        .then((newRowDom) => this.#focusRow(newRowDom))
+        .finally(() => {
+          this.#isSettingValue = false;
+          this.#checkChange();
+        });
+    });
+
+    this.#loadRowSortEvents(rowDom);
+  }
+
+  /**
+   * Binds pointer and keyboard (Alt+Up/Down) reordering to the handle of a row
+   *
+   * @private
+   * @param {jQuery} rowDom - Row DOM
+   */
+  #loadRowSortEvents(rowDom) {
+    const handleDom = rowDom.children(".handle");
+    var startIndex;
+
+    handleDom
+      .on("pointerdown", (e) => {
+        if (this.isDisabled() || e.button !== 0) return;
+
+        startIndex = rowDom.index();
+        rowDom.addClass("dragging");
+        handleDom[0].setPointerCapture(e.pointerId);
+        e.preventDefault();
+      })
+      .on("pointermove", (e) => {
+        if (startIndex === undefined) return;
+
+        for (const targetDom of rowDom.siblings(".row")) {
+          const rect = targetDom.getBoundingClientRect();
+
+          if (e.clientY >= rect.top && e.clientY <= rect.bottom) {
+            if (e.clientY < rect.top + rect.height / 2) {
+              rowDom.insertBefore(targetDom);
+            } else {
+              rowDom.insertAfter(targetDom);
+            }
+            break;
+          }
+        }
+      })
+      .on("pointerup pointercancel", (e) => {
+        if (startIndex === undefined) return;
+
+        handleDom[0].releasePointerCapture(e.pointerId);
+        rowDom.removeClass("dragging");
+
+        if (startIndex !== rowDom.index()) this.#updateRows();
+        startIndex = undefined;
+      })
+      .on("keydown", (e) => {
+        if (this.isDisabled()) return;
+        if (!e.altKey || ![38, 40].includes(e.keyCode)) return;
+
+        if (e.keyCode === 38) {
+          const prevRowDom = rowDom.prev(".row");
+          if (!prevRowDom.length) return false;
+          rowDom.insertBefore(prevRowDom);
+        } else {
+          const nextRowDom = rowDom.next(".row");
+          if (!nextRowDom.length) return false;
+          rowDom.insertAfter(nextRowDom);
+        }
+
+        handleDom.trigger("focus");
+        this.#updateRows();
+        return false;
+      });
+  }
+
+  /**
+   * Creates rows from the template, inserts them at the end or after a row and initializes their child inputs
+   *
+   * @private
+   * @param {number} count - Number of rows to add
+   * @param {jQuery} [afterRowDom=undefined] - Row the new rows are inserted after
+   * @returns {Promise<Array<jQuery>>} The new rows, once their child inputs are initialized
+   */
+  #addRows(count, afterRowDom = undefined) {
+    const rowDoms = [];
+
+    for (let i = 0; i < count; i++) {
+      const rowDom = this.#createRow(this.#rowsDom.children(".row").length);
+
+      if (afterRowDom) {
+        rowDom.insertAfter(rowDoms.at(-1) ?? afterRowDom);
+      } else {
+        this.#rowsDom.append(rowDom);
+      }
+
+      this.#loadRowEvents(rowDom);
+      rowDoms.push(rowDom);
+    }
+
+    return window.yd_core.ui.init().then(() => {
+      rowDoms.forEach((rowDom) => this.#updateFieldsDisabled(rowDom));
+      this.#updateRows();
+      return rowDoms;
+    });
+  }
+
+  /**
+   * Creates a row from the template with the child inputs named by the given index
+   *
+   * @private
+   * @param {number} index - Index of the row
+   * @returns {jQuery}
+   */
+  #createRow(index) {
+    const html = this.#templateHtml.replaceAll(
+      `${this.#templateDataName}[${YD_Input_Repeater.#indexPlaceholder}]`,
+      `${this.#config.data_name}[${index}]`,
+    );
+
+    return jQuery(jQuery.parseHTML(html.trim())).filter(".row");
+  }
+
+  /**
+   * Re-indexes the input names of every row by the current row order, updates the state of the actions
+   * and the required input, and reports the change
+   *
+   * @private
+   * @param {boolean} [isChanged=true] - Whether the rows were changed
+   */
+  #updateRows(isChanged = true) {
+    const rowDoms = this.#rowsDom.children(".row");
+    const rowCount = rowDoms.length;
+    const namePattern = new RegExp(
+      "^" +
+        this.#config.data_name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") +
+        "\\[[^\\]]*\\]",
+    );
+
+    rowDoms.each((index, rowDom) => {
+      const namePrefix = `${this.#config.data_name}[${index}]`;
+
+      jQuery(rowDom)
+        .find("[name]")
+        .each((_, inputDom) => {
+          inputDom.name = inputDom.name.replace(namePattern, namePrefix);
+        });
+
+      jQuery(rowDom)
+        .find(".yd-admin-ui-input")
+        .each((_, inputRootDom) => {
+          const input = window.yd_core.ui.findByDom(jQuery(inputRootDom));
+          const dataName = input?.getConfig("data_name");
+
+          if (typeof dataName === "string") {
+            input.modifyConfig(
+              "data_name",
+              dataName.replace(namePattern, namePrefix),
+            );
+          }
+        });
+    });
+
+    const isDisabled = this.isDisabled();
+    const actionsDom = rowDoms.children(".row-actions");
+
+    this.#addButton.prop("disabled", isDisabled || this.#isFull());
+    actionsDom
+      .children(".duplicate")
+      .prop("disabled", isDisabled || this.#isFull());
+    actionsDom
+      .children(".remove")
+      .prop("disabled", isDisabled || rowCount <= (this.#config.min ?? 0));
+    rowDoms.children(".handle").attr({
+      tabindex: isDisabled ? "-1" : "0",
+      "aria-disabled": isDisabled ? "true" : null,
+    });
+
+    this.updateRequiredInput(this.#repeaterDom, !rowCount);
+
+    if (!isChanged) return;
+
+    if (!this.isIgnored()) {
+      jQuery(window.document).trigger("yd-form-change");
+    }
+    this.#checkChange();
+  }
+
+  /**
+   * Returns whether the maximum number of rows is reached
+   *
+   * @private
+   * @returns {boolean}
+   */
+  #isFull() {
+    const max = this.#config.max ?? 0;
+    return max > 0 && this.#rowsDom.children(".row").length >= max;
+  }
+
+  /**
+   * Returns the field DOM elements of a row keyed by field name
+   *
+   * @private
+   * @param {jQuery} rowDom - Row DOM
+   * @returns {Object<string, jQuery>}
+   */
+  #getFieldDoms(rowDom) {
+    const fieldDoms = {};
+
+    rowDom
+      .children(".fields")
+      .children(".field")
+      .each((_, fieldDom) => {
+        fieldDoms[jQuery(fieldDom).attr("data-key")] = jQuery(fieldDom);
+      });
+
+    return fieldDoms;
+  }
+
+  /**
+   * Returns the values of the child inputs of a row keyed by field name
+   *
+   * @private
+   * @param {jQuery} rowDom - Row DOM
+   * @returns {Object}
+   */
+  #getRowValue(rowDom) {
+    const row = {};
+
+    for (const [key, fieldDom] of Object.entries(this.#getFieldDoms(rowDom))) {
+      const inputRootDom = fieldDom.children(".yd-admin-ui-input");
+      const input = window.yd_core.ui.findByDom(inputRootDom);
+
+      if (input) {
+        row[key] = input.getValue();
+      } else {
+        // Plain inputs (text, textarea, checkbox) have a single named control
+        row[key] = inputRootDom.find("[name]").val();
+      }
+    }
+
+    return row;
+  }
+
+  /**
+   * Sets the values of the child inputs of a row, leaving fields without a value untouched
+   *
+   * @private
+   * @param {jQuery} rowDom - Row DOM
+   * @param {Object} row - Values of the child inputs keyed by field name
+   * @returns {Promise<void>}
+   */
+  #setRowValue(rowDom, row) {
+    const promises = [];
+
+    for (const [key, fieldDom] of Object.entries(this.#getFieldDoms(rowDom))) {
+      if (row[key] === undefined) continue;
+
+      const inputRootDom = fieldDom.children(".yd-admin-ui-input");
+      const input = window.yd_core.ui.findByDom(inputRootDom);
+
+      if (input) {
+        promises.push(input.setValue(row[key]));
+        continue;
+      }
+
+      const checkboxDom = inputRootDom.find('input[type="checkbox"]');
+      if (checkboxDom.length) {
+        checkboxDom.prop("checked", !!parseInt(row[key]));
+        inputRootDom.find("[name]").val(parseInt(row[key]) ? 1 : 0);
+      } else {
+        inputRootDom.find("[name]").val(row[key]);
+      }
+    }
+
+    return Promise.all(promises).then(() => {});
+  }
+
+  /**
+   * Disables or enables the child inputs of the given rows by the state of the repeater
+   *
+   * @private
+   * @param {jQuery} rowDoms - Rows
+   */
+  #updateFieldsDisabled(rowDoms) {
+    const isDisabled = this.isDisabled();
+
+    rowDoms
+      .children(".fields")
+      .children(".field")
+      .children(".yd-admin-ui-input")
+      .each((_, inputRootDom) => {
+        const input = window.yd_core.ui.findByDom(jQuery(inputRootDom));
+
+        if (input) {
+          if (input.isDisabled?.() !== isDisabled) {
+            isDisabled ? input.disable() : input.enable();
+          }
+        } else {
+          jQuery(inputRootDom)
+            .toggleClass("disabled", isDisabled)
+            .find("input, textarea")
+            .prop("disabled", isDisabled);
+        }
+      });
+  }
+
+  /**
+   * Moves the focus to the first control of a row
+   *
+   * @private
+   * @param {jQuery} rowDom - Row DOM
+   */
+  #focusRow(rowDom) {
+    rowDom
+      .children(".fields")
+      .find('input:not([type="hidden"]), textarea, [tabindex="0"]')
+      .not(".help-tip")
+      .first()
+      .trigger("focus");
+  }
+
+  /**
+   * Triggers the common change event when the rows differ from the last reported ones
+   *
+   * @private
+   */
+  #checkChange() {
+    if (this.#isSettingValue || this.#lastValue === undefined) return;
+
+    const oldValue = this.#lastValue;
+    const newValue = this.getValue();
+    this.#lastValue = newValue;
+
+    this.triggerChange(oldValue, newValue);
+  }
+}
+
+window.yd_core.ui.registerType("repeater", YD_Input_Repeater);
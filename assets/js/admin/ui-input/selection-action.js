@@ -0,0 +1,561 @@
+/**
+ * YD_Input_Selection_Action class
+ * A combined selection component that searches items through AJAX (like YD_Input_Selection) and lets the user
+ * attach an action to every selected item, chosen from a dropdown (e.g. "link to product" or "link to category").
+ * Each selected item is rendered as a row and serialized into `data_name[i][id]` and `data_name[i][action]`
+ * hidden inputs, re-indexed whenever a row is added or removed.
+ *
+ * Author: Yigit Demir
+ * Since: 1.0.0
+ * Version: 1.0.0
+ */
+
+"use strict";
+
+class YD_Input_Selection_Action extends YD_Input_Base {
+  /**
+   * Ajax action name used for requests
+   *
+   * @type {string}
+   */
+  #ajaxActionName;
+
+  /**
+   * Root DOM element for the component
+   *
+   * @type {jQuery}
+   */
+  #rootDom;
+
+  /**
+   * DOM element for the main selection-action container
+   *
+   * @type {jQuery}
+   */
+  #selectionDom;
+
+  /**
+   * Input element used for typing keywords
+   *
+   * @type {jQuery}
+   */
+  #inputEdit;
+
+  /**
+   * DOM element for displaying all searched items
+   *
+   * @type {jQuery}
+   */
+  #allItemsDom;
+
+  /**
+   * DOM element for the list of all searched items
+   *
+   * @type {jQuery}
+   */
+  #allItemsListDom;
+
+  /**
+   * DOM element holding the selected item rows
+   *
+   * @type {jQuery}
+   */
+  #rowsDom;
+
+  /**
+   * Configuration object passed to the component
+   *
+   * @type {Object}
+   */
+  #config;
+
+  /**
+   * Action options of the per-item dropdown
+   *
+   * @type {Object}
+   */
+  #dropdownOptions;
+
+  /**
+   * Initial value passed to the component
+   *
+   * @type {Array<{id: (string|number), action: string}>}
+   */
+  #value;
+
+  /**
+   * Current selected data values
+   *
+   * @type {Array<{id: (string|number), action: string}>}
+   */
+  #data;
+
+  /**
+   * Items of the initial value resolved in a batch for all selection inputs of the page
+   *
+   * @type {Promise<Array<Object>>|undefined}
+   */
+  #preloadedItems;
+
+  /**
+   * Abort key of the keyword search requests, so a new search aborts the superseded one
+   *
+   * @type {Symbol}
+   */
+  #searchAbortKey = Symbol("search");
+
+  /**
+   * Action dropdowns of the rows, keyed by the row data
+   *
+   * @type {Map<Object, YD_Input_Dropdown>}
+   */
+  #dropdowns = new Map();
+
+  /**
+   * Value of the last change event, used to detect changes of the selected data
+   *
+   * @type {Array|undefined}
+   */
+  #lastValue;
+
+  /**
+   * Creates an instance of YD_Input_Selection_Action.
+   *
+   * @param {HTMLElement|string} rootDom - The root DOM element or selector
+   * @param {string} config - JSON string of configuration
+   * @param {string} dropdownOptions - JSON string of action options
+   * @param {string} value - JSON string of value
+   * @param {Promise<Array<Object>>} [items=undefined] - Items of the value, resolved in a batch by init
+   */
+  constructor(rootDom, config, dropdownOptions, value, items = undefined) {
+    super(rootDom, config);
+
+    this.#rootDom = this.getRootDom();
+    this.#config = this.getConfig();
+    this.#dropdownOptions = JSON.parse(dropdownOptions);
+    this.#value = Object.values(JSON.parse(value || "[]") ?? []);
+    this.#preloadedItems = items;
+
+    this.#ajaxActionName = this.#config.ajax_action_name ?? "wc-search";
+    this.#data = [];
+
+    this.#render();
+  }
+
+  /**
+   * Creates the selection action input of a root DOM rendered by its PHP view
+   *
+   * @param {jQuery} rootDom - Root DOM element
+   * @param {Object} [context={}] - Data prepared by init, `items` of the value resolved in a batch
+   * @returns {YD_Input_Selection_Action}
+   */
+  static create(rootDom, context = {}) {
+    return new this(
+      rootDom,
+      rootDom.attr("data-config"),
+      rootDom.attr("data-dropdown-options"),
+      rootDom.attr("data-value"),
+      context.items,
+    );
+  }
+
+  /**
+   * Returns the selected items with their actions
+   *
+   * @returns {Array<{id: (string|number), action: string}>}
+   */
+  getValue() {
+    return this.#data.map((data) => ({ id: data.id, action: data.action }));
+  }
+
+  /**
+   * Selects the given items with their actions, fetching their names as needed
+   *
+   * @param {Array<{id: (string|number), action: string}>} value - Items to select
+   * @returns {Promise<void>}
+   */
+  setValue(value) {
+    value = Object.values(value ?? []);
+
+    return this.#getItemsByValue(value).then((items) => {
+      if (items) this.#renderRows(value, items);
+    });
+  }
+
+  /**
+   * Restores the value the input was rendered with
+   *
+   * @returns {Promise<void>}
+   */
+  reset() {
+    return this.setValue(this.#value);
+  }
+
+  /**
+   * Removes all selected items
+   *
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this.setValue([]);
+  }
+
+  /**
+   * Aborts a pending keyword search and releases the input
+   */
+  dispose() {
+    window.yd_core.action.abortAjax(this.#searchAbortKey);
+    super.dispose();
+  }
+
+  /**
+   * Disables the input, so it can not be changed and is not submitted
+   */
+  disable() {
+    super.disable();
+    this.#inputEdit.blur().prop("disabled", true);
+    this.#dropdowns.forEach((dropdown) => dropdown.disable());
+    this.#updateDataInput();
+  }
+
+  /**
+   * Enables the input again
+   */
+  enable() {
+    super.enable();
+    this.#inputEdit.prop("disabled", false);
+    this.#dropdowns.forEach((dropdown) => dropdown.enable());
+    this.#updateDataInput();
+  }
+
+  /**
+   * Renders the component and loads the initial rows
+   *
+   * @private
+   */
+  #render() {
+    this.#rootDom.prepend(`
+        <div class="selection-action">
+            <div class="params">
+                <div class="search regular-text">
+                    <input type="text" autocomplete="off" autocorrect="off" autocapitalize="none" spellcheck="false" placeholder="${this.#config.display_name || window.yd_core.ui.getText("Enter keyword")}"/>
+                    <div class="all-items" style="display:none;">
+                        <div class="spinner"></div>
+                        <ul></ul>
+                    </div>
+                </div>
+            </div>
+            <div class="params-list"></div>
+        </div>
+        `);
+
+    this.#selectionDom = this.#rootDom.find(".selection-action");
+    this.#inputEdit = this.#selectionDom.find(".search > input");
+    this.#allItemsDom = this.#selectionDom.find(".all-items");
+    this.#allItemsListDom = this.#allItemsDom.find("ul");
+    this.#rowsDom = this.#selectionDom.find(".params-list");
+
+    const rootDomId = this.#rootDom.attr("id");
+    if (rootDomId?.length) this.#inputEdit.attr("id", rootDomId + "_input");
+
+    this.#getItemsByValue(this.#value).then((items) => {
+      this.#lastValue = undefined;
+      if (items) this.#renderRows(this.#value, items);
+    });
+
+    this.#updateDataInput();
+    this.#loadEvents();
+  }
+
+  /**
+   * Replaces the rows with the given value, dropping items without a found name
+   *
+   * @private
+   * @param {Array<{id: (string|number), action: string}>} value - Items to select
+   * @param {Array<Object>} items - Found items ({id, name})
+   */
+  #renderRows(value, items) {
+    this.#rowsDom.empty();
+    this.#dropdowns.clear();
+    this.#data = [];
+
+    value.forEach((value) => {
+      const item = items.find((item) => item.id == value.id);
+      if (item) this.#addRow(item, value.action);
+    });
+    this.#updateDataInput();
+  }
+
+  /**
+   * Binds all necessary event handlers for searching and selecting
+   *
+   * @private
+   */
+  #loadEvents() {
+    this.#inputEdit.on("focusout", () => {
+      this.#allItemsDom.hide();
+      this.#allItemsListDom.empty();
+      window.yd_core.action.abortAjax(this.#searchAbortKey);
+    });
+
+    var timeoutId;
+    const allItemsSpinner = this.#allItemsDom.find(".spinner");
+    this.#inputEdit.on("input", (e) => {
+      const keyword = e.target.value;
+      clearTimeout(timeoutId);
+      window.yd_core.action.abortAjax(this.#searchAbortKey);
+
+      allItemsSpinner.removeClass("is-active");
+      this.#allItemsListDom.empty();
+
+      if (!keyword.length) {
+        this.#allItemsDom.hide();
+        return;
+      }
+
+      allItemsSpinner.addClass("is-active");
+      this.#allItemsDom.show();
+
+      timeoutId = setTimeout(() => {
+        this.#listItemsByKeyword((items) => {
+          allItemsSpinner.removeClass("is-active");
+          this.#allItemsListDom.empty().append(items);
+        }, keyword);
+      }, 500);
+    });
+
+    this.#inputEdit.on("keydown keyup", (e) => {
+      if (this.#allItemsListDom.children().length > 0) {
+        if (e.type === "keydown" && [38, 40].includes(e.keyCode)) {
+          const hoverListItem = this.#allItemsListDom.find("li[data-hover]");
+          const targetListItem =
+            e.keyCode === 38 ? hoverListItem.prev() : hoverListItem.next();
+
+          if (targetListItem.length > 0) {
+            hoverListItem.removeAttr("data-hover");
+            targetListItem.attr("data-hover", "");
+
+            const targetPositionTop = targetListItem.position().top;
+            const allItemsListHeight = this.#allItemsListDom.height();
+
+            if (
+              targetPositionTop > allItemsListHeight ||
+              targetPositionTop < 0
+            ) {
+              this.#allItemsListDom.scrollTop(
+                this.#allItemsListDom.scrollTop() + targetPositionTop,
+              );
+            }
+          }
+
+          e.preventDefault();
+        } else if (e.type === "keyup" && e.keyCode == 13) {
+          this.#allItemsListDom.find("[data-hover]").click();
+        }
+      }
+
+      if (e.keyCode == 13) {
+        e.preventDefault();
+      }
+    });
+  }
+
+  /**
+   * Creates a row for a selected item with its action dropdown
+   *
+   * @private
+   * @param {Object} item - Selected item ({id, name})
+   * @param {string} [action] - Selected action value, defaults to the first option
+   * @returns {jQuery} - The created row DOM
+   */
+  #addRow(item, action = undefined) {
+    const actions = Object.keys(this.#dropdownOptions);
+    const data = {
+      id: item.id,
+      action: actions.includes(action) ? action : actions[0],
+    };
+
+    const rowDom = jQuery(`
+        <div class="param" data-id="${item.id}">
+            <div class="key"><span class="name"></span><input type="hidden"/></div>
+            <div class="action"><div class="yd-admin-ui-input yd-admin-ui-input-dropdown loaded"></div></div>
+            <div class="remove"><span class="button delete" tabindex="0">${window.yd_core.ui.getText("Remove")}</span></div>
+        </div>
+        `);
+
+    rowDom.find(".key > .name").text(item.name);
+    this.#rowsDom.append(rowDom);
+
+    const dropdown = new YD_Input_Dropdown(
+      rowDom.find(".yd-admin-ui-input-dropdown"),
+      JSON.stringify({ options: this.#dropdownOptions }),
+      data.action,
+    );
+
+    dropdown.getRootDom().on("yd-change", (e) => e.stopPropagation());
+    dropdown.getInput().on("change", (e) => {
+      data.action = e.target.value;
+      this.#checkChange();
+    });
+
+    rowDom.find(".remove > .button").on("click", (e) => {
+      e.preventDefault();
+      if (this.isDisabled()) return;
+
+      if (!this.isIgnored()) {
+        jQuery(window.document).trigger("yd-form-change");
+      }
+      this.#data = this.#data.filter((value) => value !== data);
+      this.#dropdowns.delete(data);
+      rowDom.remove();
+      this.#updateDataInput();
+    });
+
+    if (this.isDisabled()) dropdown.disable();
+
+    this.#dropdowns.set(data, dropdown);
+    this.#data.push(data);
+    return rowDom;
+  }
+
+  /**
+   * Gets the items of the given value, using the batch resolved items of the initial value once
+   *
+   * @private
+   * @param {Array<{id: (string|number), action: string}>} value - Value to get the items of
+   * @returns {Promise<Array<Object>|undefined>} Found items, undefined when the request failed
+   */
+  #getItemsByValue(value) {
+    const ids = value.map((value) => value.id);
+    if (!ids.length) return Promise.resolve([]);
+
+    const spinner = jQuery('<div class="spinner is-active"></div>');
+    this.#rowsDom.before(spinner);
+
+    const request = () =>
+      window.yd_core.action
+        .runAjax(
+          null,
+          this.#ajaxActionName,
+          jQuery.extend({}, this.#config.properties, { value: ids }),
+        )
+        .then((response) => response ?? [])
+        .catch((error) => {
+          window.yd_core.ui.showError(error);
+        });
+
+    const preloadedItems = this.#preloadedItems;
+    this.#preloadedItems = undefined;
+
+    return Promise.resolve(
+      preloadedItems
+        ? preloadedItems.then((items) =>
+            ids.every((id) => items.some((item) => item.id == id))
+              ? items
+              : request(),
+          )
+        : request(),
+    ).finally(() => spinner.remove());
+  }
+
+  /**
+   * Lists items by keyword entered in input
+   *
+   * @private
+   * @param {Function} onReadyValue - Callback with matched items
+   * @param {string} keyword - Keyword to search with
+   */
+  #listItemsByKeyword(onReadyValue, keyword) {
+    window.yd_core.action
+      .runAjax(
+        (response) => {
+          const listItems = (response ?? []).map((item, index) => {
+            const listItemDom = jQuery(`<li data-id="${item.id}"></li>`).text(
+              item.name,
+            );
+
+            if (this.#data.some((value) => value.id == item.id)) {
+              listItemDom.attr("data-selected", "");
+            }
+            if (index === 0) {
+              listItemDom.attr("data-hover", "");
+            }
+
+            listItemDom
+              .on("mousedown", (e) => e.preventDefault())
+              .on("mouseenter", () => {
+                this.#allItemsListDom.find("li").removeAttr("data-hover");
+                listItemDom.attr("data-hover", "");
+              })
+              .on("click", () => {
+                if (!this.#data.some((value) => value.id == item.id)) {
+                  if (!this.isIgnored()) {
+                    jQuery(window.document).trigger("yd-form-change");
+                  }
+                  this.#addRow(item);
+                  this.#updateDataInput();
+                }
+
+                this.#allItemsDom.hide();
+                this.#allItemsListDom.empty();
+                this.#inputEdit.val("");
+              });
+
+            return listItemDom;
+          });
+          onReadyValue(listItems);
+        },
+        this.#ajaxActionName,
+        jQuery.extend({}, this.#config.properties, { keyword: keyword }),
+        { abortKey: this.#searchAbortKey },
+      )
+      .catch((error) => {
+        if (error.aborted) return;
+
+        window.yd_core.ui.showError(error);
+        onReadyValue([]);
+      });
+  }
+
+  /**
+   * Re-indexes the input names of every row by the current data order
+   *
+   * @private
+   */
+  #updateDataInput() {
+    this.#rowsDom.children(".param").each((index, rowDom) => {
+      rowDom = jQuery(rowDom);
+      rowDom
+        .find(".key > input")
+        .attr("name", `${this.#config.data_name}[${index}][id]`)
+        .prop("disabled", this.isDisabled())
+        .val(rowDom.attr("data-id"));
+      rowDom
+        .find('.dropdown > input[type="hidden"]')
+        .attr("name", `${this.#config.data_name}[${index}][action]`);
+      rowDom
+        .find(".remove > .button")
+        .toggleClass("disabled", this.isDisabled())
+        .attr("tabindex", this.isDisabled() ? "-1" : "0");
+    });
+
+    this.updateRequiredInput(this.#selectionDom, !this.#data.length);
+
+    this.#checkChange();
+  }
+
+  /**
+   * Triggers the common change event when the value differs from the last one
+   *
+   * @private
+   */
+  #checkChange() {
+    const oldValue = this.#lastValue;
+    const newValue = this.getValue();
+    this.#lastValue = newValue;
+
+    if (oldValue !== undefined) this.triggerChange(oldValue, newValue);
+  }
+}
+
+window.yd_core.ui.registerType("selection-action", YD_Input_Selection_Action);
@@ -3,8 +3,27 @@
  *
  * A reusable media‑selection component for the WP‑Admin interface.
  *
- * Lets editors **select** or **remove** a single image or video from the
- * WordPress Media Library.
+ * Lets editors **select**, **replace**, **edit** or **remove** a single image
+ * or video from the WordPress Media Library. Editing opens the edit page of the
+ * attachment in a new tab, and its preview is refreshed once the tab of the
+ * input is shown again.
+ *
+ * The selectable attachments are restricted by the `constraints` of the
+ * config: allowed MIME types filter the library, while the dimensions, file
+ * size and aspect ratio are checked on pick and non-conforming picks are
+ * rejected with an error under the input. Attachments that are neither images
+ * nor videos are previewed as a file card.
+ *
+ * A single image is optionally cropped after it is picked (`is_crop`, with the
+ * `crop_ratio` aspect ratio) with the cropper of the Media Library, and given a
+ * focal point by clicking its preview (`is_focal_point`). Both are stored as
+ * fractions of the image in the `crop` and `focal` hidden inputs next to the
+ * `id` one, and the value becomes `{ id, crop, focal }`.
+ *
+ * Files dropped onto or pasted into the input are uploaded to the Media
+ * Library through the async-upload endpoint with a progress bar, after the
+ * type and file size constraints are checked, and are then selected the same
+ * way as the attachments picked in the library.
  *
  * Provides an instant preview of the chosen attachment and emits custom
  * events so outer code can react (`yd-on-media-load`, `yd-on-media-change`).
@@ -16,6 +35,13 @@
  * the corresponding medium–sized thumbnail via AJAX and renders a preview
  * on initialisation.
  *
+ * In **gallery** mode (`is_gallery`) several attachments are added from the
+ * Media Library and shown as a grid of thumbnails, which are reordered by
+ * dragging them or with Alt+Arrow keys and removed one by one. Every id is
+ * submitted with a `data_name[]` hidden input, the `min` and `max` counts are
+ * enforced, and the saved thumbnails are fetched with one batched request when
+ * the action accepts batches (`is_batchable`), otherwise with one per id.
+ *
  * Author:  Yigit Demir
  * Version: 1.0.0
  * Since:   1.0.0
@@ -23,7 +49,7 @@
 
 "use strict";
 
-class YD_Input_Selection_Media {
+class YD_Input_Selection_Media extends YD_Input_Base {
   /**
    * WordPress AJAX action used to retrieve attachment metadata.
    *
@@ -39,25 +65,32 @@ class YD_Input_Selection_Media {
   #rootDom;
 
   /**
-   * Configuration object passed to the input
+   * Preview of the selected attachment
    *
-   * @type {Object}
+   * @type {jQuery|undefined}
    */
-  #config;
+  #previewDom;
 
   /**
-   * DOM element for the image tag
+   * URL of the preview of the selected attachment
    *
-   * @type {jQuery}
+   * @type {string|undefined}
+   */
+  #previewUrl;
+
+  /**
+   * Id of the attachment whose edit page was opened, so its preview is refreshed once the page is shown again
+   *
+   * @type {number|undefined}
    */
-  #imgDom;
+  #editedId;
 
   /**
-   * DOM element for the video tag
+   * Edit and remove actions of the selected attachment
    *
    * @type {jQuery}
    */
-  #videoDom;
+  #actionsDom;
 
   /**
    * DOM element for the action button
@@ -73,6 +106,62 @@ class YD_Input_Selection_Media {
    */
   #inputValue;
 
+  /**
+   * Attachment id the input was rendered with, the attachment ids in gallery mode
+   *
+   * @type {number|number[]}
+   */
+  #initialValue;
+
+  /**
+   * Configuration object passed to the component
+   *
+   * @type {Object}
+   */
+  #config;
+
+  /**
+   * List of the attachments in gallery mode
+   *
+   * @type {jQuery}
+   */
+  #galleryDom;
+
+  /**
+   * Attachment ids of gallery mode as of the last change event
+   *
+   * @type {number[]}
+   */
+  #lastValue;
+
+  /**
+   * Error of the last rejected pick, shown until the value changes
+   *
+   * @type {string|undefined}
+   */
+  #rejection;
+
+  /**
+   * Relative tolerance of the aspect ratio constraint
+   *
+   * @type {number}
+   */
+  static #aspectRatioTolerance = 0.01;
+
+  /**
+   * Whether the value stores the crop and the focal point of the image next to its id
+   *
+   * @type {boolean}
+   */
+  #isStructured;
+
+  /**
+   * Cropper state of the Media Library, created once the media frame is loaded
+   *
+   * @type {Function|undefined}
+   */
+  static #Cropper;
+
   /**
    * Creates an instance of YD_Input_Selection_Media.
    *
@@ -80,49 +169,49 @@ class YD_Input_Selection_Media {
    * @param {string} config - JSON string of configuration options
    */
   constructor(rootDom, config) {
+    super(rootDom, config);
+
     this.#rootDom = jQuery(rootDom).find(".selection-media");
-    this.#config = JSON.parse(config);
+    this.#config = this.getConfig();
 
-    this.#imgDom = jQuery('<img class="media"/>');
-    this.#videoDom = jQuery(
-      '<video class="media" autoplay="1" loop="1" muted="1"/>',
-    );
     this.#buttonAction = this.#rootDom.find(".button.action");
-    this.#inputValue = this.#rootDom.find('input[type="hidden"]');
+    this.#actionsDom = this.#rootDom.children(".media-actions");
+    this.#inputValue = this.#rootDom.children('input[type="hidden"]').first();
+    this.#isStructured =
+      !this.#config.is_gallery &&
+      Boolean(this.#config.is_crop || this.#config.is_focal_point);
 
-    this.#loadEvents();
-    this.#checkRequiredInput();
+    if (this.#config.is_gallery) {
+      this.#galleryDom = this.#rootDom.children(".gallery-items");
+      this.#initialValue = this.getValue();
+      this.#lastValue = this.getValue();
 
-    if (parseInt(this.#inputValue.val()) > 0) {
-      this.#buttonAction.text(window.yd_core.ui.getText("Remove media"));
+      this.#galleryDom
+        .children(".gallery-item")
+        .each((_, itemDom) => this.#loadGalleryItem(jQuery(itemDom)));
 
-      const spinner = jQuery('<div class="spinner is-active"></div>');
-      this.#rootDom.prepend(spinner);
+      this.#loadEvents();
+      this.#checkGallery();
 
-      window.yd_core.action.runAjax(
-        (data) => {
-          spinner.remove();
-          switch (data.type) {
-            case "image":
-              this.#imgDom.attr("src", data.url);
-              this.#rootDom.prepend(this.#imgDom);
-              this.#rootDom.trigger("yd-on-media-load", this.#imgDom);
-              break;
-            case "video":
-              this.#videoDom.attr("src", data.url);
-              this.#rootDom.prepend(this.#videoDom);
-              this.#rootDom.trigger("yd-on-media-load", this.#videoDom);
-              break;
-          }
-        },
-        this.#ajaxActionName,
-        { id: this.#inputValue.val(), size: "medium" },
-      );
+      if (this.getValue().length) {
+        this.#loadGalleryPreviews(this.getValue(), "yd-on-media-load");
+      }
+      return;
+    }
+
+    this.#initialValue = this.getValue();
+
+    this.#loadEvents();
+    this.#checkRequiredInput();
+
+    if (this.#getId() > 0) {
+      this.#updateActions();
+      this.#loadPreview("yd-on-media-load");
     }
   }
 
   /**
-   * Returns the root DOM element
+   * Returns the `.selection-media` element inside the root DOM
    *
    * @returns {jQuery}
    */
@@ -130,6 +219,135 @@ class YD_Input_Selection_Media {
     return this.#rootDom;
   }
 
+  /**
+   * Returns the selected attachment id, 0 when no media is selected. The attachment ids in their order in gallery mode,
+   * and `{ id, crop, focal }` when the image is cropped or given a focal point.
+   *
+   * @returns {number|number[]|Object}
+   */
+  getValue() {
+    if (this.#config.is_gallery) {
+      return this.#galleryDom
+        .find('input[type="hidden"]')
+        .toArray()
+        .map((inputDom) => parseInt(inputDom.value) || 0)
+        .filter((id) => id > 0);
+    }
+
+    if (this.#isStructured) return { id: this.#getId(), ...this.#getMeta() };
+
+    return this.#getId();
+  }
+
+  /**
+   * Selects the attachment with the given id and loads its preview, or removes the media for 0.
+   * Selects the attachments of the given ids in gallery mode, loading the previews it does not show yet.
+   * Also takes `{ id, crop, focal }` when the image is cropped or given a focal point.
+   *
+   * @param {number|string|Array|Object} value - Attachment id, ids in gallery mode
+   * @returns {Promise<void>}
+   */
+  setValue(value) {
+    if (this.#config.is_gallery) return this.#setGalleryValue(value);
+
+    const isObject = value !== null && typeof value === "object";
+    const id = parseInt(isObject ? value.id : value) || 0;
+    const meta = {
+      crop: YD_Input_Selection_Media.#toFractions(
+        isObject ? value.crop : null,
+        ["x", "y", "width", "height"],
+      ),
+      focal: YD_Input_Selection_Media.#toFractions(
+        isObject ? value.focal : null,
+        ["x", "y"],
+      ),
+    };
+
+    if (id === this.#getId()) {
+      if (this.#isStructured && id > 0) this.#changeValue(id, meta);
+      return Promise.resolve();
+    }
+    if (id === 0) {
+      this.#removeMedia();
+      return Promise.resolve();
+    }
+
+    this.#clearPreview();
+    this.#changeValue(id, meta);
+    return this.#loadPreview("yd-on-media-change");
+  }
+
+  /**
+   * Restores the attachment the input was rendered with
+   *
+   * @returns {Promise<void>}
+   */
+  reset() {
+    return this.setValue(this.#initialValue);
+  }
+
+  /**
+   * Removes the selected media
+   */
+  clear() {
+    this.setValue(this.#config.is_gallery ? [] : 0);
+  }
+
+  /**
+   * Returns the error of the last rejected pick, or of a gallery with fewer or more attachments than its `min` and
+   * `max` counts
+   *
+   * @returns {string|undefined}
+   */
+  getError() {
+    if (this.#rejection !== undefined) return this.#rejection;
+    if (!this.#config.is_gallery) return;
+
+    const count = this.getValue().length;
+    const getText = window.yd_core.ui.getText;
+
+    if (count > 0 && count < (this.#config.min ?? 0)) {
+      return getText("Please select at least %s media.").replace(
+        "%s",
+        this.#config.min,
+      );
+    }
+    if (this.#config.max > 0 && count > this.#config.max) {
+      return getText("Please select at most %s media.").replace(
+        "%s",
+        this.#config.max,
+      );
+    }
+  }
+
+  /**
+   * Disables the input, so it can not be changed and is not submitted
+   */
+  disable() {
+    super.disable();
+    this.#buttonAction.addClass("disabled").attr({
+      tabindex: "-1",
+      "aria-disabled": "true",
+    });
+    this.#actionsDom.children("button").prop("disabled", true);
+    this.#rootDom.find('input[type="hidden"]').prop("disabled", true);
+    this.#checkRequiredInput();
+  }
+
+  /**
+   * Enables the input again
+   */
+  enable() {
+    super.enable();
+    this.#buttonAction
+      .removeClass("disabled")
+      .attr("tabindex", "0")
+      .removeAttr("aria-disabled");
+    this.#actionsDom.children("button").prop("disabled", false);
+    this.#rootDom.find('input[type="hidden"]').prop("disabled", false);
+    this.#checkRequiredInput();
+  }
+
   /**
    * Binds event handlers for the media selection input
    *
@@ -137,67 +355,1392 @@ class YD_Input_Selection_Media {
    */
   #loadEvents() {
     this.#buttonAction.on("click", (e) => {
-      if (parseInt(this.#inputValue.val()) > 0) {
-        this.#buttonAction.text(window.yd_core.ui.getText("Select media"));
+      e.preventDefault();
 
-        this.#imgDom.remove();
-        this.#videoDom.remove();
-        this.#inputValue.val("0").trigger("input");
-        this.#rootDom.trigger("yd-on-media-change");
+      if (this.isDisabled()) return;
 
-        this.#checkRequiredInput();
+      if (this.#config.is_gallery) {
+        this.#openGalleryFrame();
       } else {
-        const frame = window.wp.media({
-          multiple: false,
-          library: { type: ["image", "video"] },
-        });
+        this.#openFrame();
+      }
+    });
 
-        frame.on("select", () => {
-          const attachment = frame.state().get("selection").first().toJSON();
-
-          switch (attachment.type) {
-            case "image":
-              this.#imgDom.attr(
-                "src",
-                attachment.sizes?.medium?.url ?? attachment.sizes.full.url,
-              );
-              this.#rootDom.prepend(this.#imgDom);
-              this.#rootDom.trigger("yd-on-media-change", this.#imgDom);
-              break;
-            case "video":
-              this.#videoDom.attr("src", attachment.url);
-              this.#rootDom.prepend(this.#videoDom);
-              this.#rootDom.trigger("yd-on-media-change", this.#videoDom);
-              break;
-          }
+    this.#actionsDom.children(".edit").on("click", (e) => {
+      e.preventDefault();
+      if (!this.isDisabled()) this.#openEditPage();
+    });
+
+    this.onDocument("visibilitychange", () => {
+      if (window.document.visibilityState === "visible") {
+        this.#refreshEditedPreview();
+      }
+    });
 
-          this.#buttonAction.text(window.yd_core.ui.getText("Remove media"));
-          this.#inputValue.val(attachment.id).trigger("input");
+    this.#loadUploadEvents();
 
-          this.#checkRequiredInput();
-        });
+    this.#actionsDom.children(".remove").on("click", (e) => {
+      e.preventDefault();
+      if (this.isDisabled()) return;
+
+      this.#removeMedia();
+      this.#buttonAction.focus();
+    });
+  }
+
+  /**
+   * Opens the edit page of the selected attachment in a new tab, which changes its details without changing the value
+   *
+   * @private
+   */
+  #openEditPage() {
+    this.#editedId = this.#getId();
+    window.open(
+      `${this.#config.edit_url}&post=${this.#editedId}`,
+      "_blank",
+      "noopener",
+    );
+  }
+
+  /**
+   * Refreshes the preview of the attachment whose edit page was opened, e.g. after the image was edited there
+   *
+   * @private
+   */
+  #refreshEditedPreview() {
+    const id = this.#editedId;
+    this.#editedId = undefined;
+    if (id === undefined || id !== this.#getId()) return;
+
+    const attachment = window.wp.media.attachment(id);
+    attachment.fetch().then(() => {
+      if (id === this.#getId()) this.#refreshPreview(attachment.toJSON());
+    });
+  }
+
+  /**
+   * Opens the Media Library for picking the attachment, followed by the crop step for images when cropping is on
+   *
+   * @private
+   */
+  #openFrame() {
+    const isCrop = Boolean(this.#isStructured && this.#config.is_crop);
+    const frame = window.wp.media({
+      multiple: false,
+      library: { type: this.#getLibraryType() },
+      ...(isCrop && {
+        button: {
+          text: window.wp.media.view.l10n.selectAndCrop,
+          close: false,
+        },
+      }),
+    });
+
+    if (isCrop) frame.states.add(this.#createCropper({ canSkipCrop: true }));
 
-        frame.open();
+    frame.on("select", () => {
+      const model = frame.state().get("selection").first();
+      const attachment = model.toJSON();
+
+      const error = this.#getAttachmentError(attachment);
+      if (error !== undefined) {
+        this.#reject(error);
+        if (isCrop) frame.close();
+        return;
       }
 
-      e.preventDefault();
+      if (isCrop && attachment.type === "image") {
+        frame.setState("cropper");
+        return;
+      }
+
+      if (isCrop) frame.close();
+      this.#pickAttachment(attachment);
     });
+
+    frame.on("cropped", (model) =>
+      this.#pickAttachment(model.toJSON(), this.#getCrop(model)),
+    );
+    frame.on("skippedcrop", (model) => this.#pickAttachment(model.toJSON()));
+
+    frame.open();
   }
 
   /**
-   * Adds or removes a required input field depending on current selection
+   * Opens the crop step for the selected image again, keeping its focal point, or for an uploaded image, which is
+   * selected once it is cropped or the crop is skipped
    *
    * @private
+   * @param {Object} [attachment] - Attachment model of the uploaded image
    */
-  #checkRequiredInput() {
-    if (this.#config.is_required) {
-      if (parseInt(this.#inputValue.val()) > 0) {
-        this.#rootDom.find("input[required]").remove();
+  #openCropFrame(attachment = undefined) {
+    const isPicking = attachment !== undefined;
+    attachment ??= window.wp.media.attachment(this.#getId());
+
+    (isPicking ? Promise.resolve() : attachment.fetch()).then(() => {
+      const frame = window.wp.media({
+        state: "cropper",
+        states: [
+          this.#createCropper({
+            attachment: attachment,
+            canSkipCrop: isPicking,
+          }),
+        ],
+      });
+
+      frame.on("cropped", (model) => {
+        if (isPicking) {
+          this.#pickAttachment(model.toJSON(), this.#getCrop(model));
+          return;
+        }
+
+        this.#changeValue(this.#getId(), {
+          crop: this.#getCrop(model),
+          focal: this.#getMeta().focal,
+        });
+      });
+      frame.on("skippedcrop", (model) => this.#pickAttachment(model.toJSON()));
+
+      frame.open();
+    });
+  }
+
+  /**
+   * Creates the cropper state of the Media Library, which only reports the selected area instead of creating a
+   * cropped copy of the image
+   *
+   * @private
+   * @param {Object} options - Options of the state
+   * @returns {Object}
+   */
+  #createCropper(options) {
+    YD_Input_Selection_Media.#Cropper ??=
+      window.wp.media.controller.Cropper.extend({
+        activate() {
+          YD_Input_Selection_Media.#Cropper.__super__.activate.apply(
+            this,
+            arguments,
+          );
+
+          // Crop the given attachment, or the one picked in the library when the frame has no single selection
+          const attachment =
+            this.get("attachment") ??
+            this.frame.state("library")?.get("selection").first();
+          if (attachment && !this.get("selection").length) {
+            this.set("selection", new window.Backbone.Collection([attachment]));
+          }
+        },
+        doCrop(attachment) {
+          return jQuery.Deferred().resolve(attachment).promise();
+        },
+      });
+
+    return new YD_Input_Selection_Media.#Cropper({
+      imgSelectOptions: (attachment) => this.#getCropOptions(attachment),
+      ...options,
+    });
+  }
+
+  /**
+   * Returns the imgAreaSelect options of the crop step: the aspect ratio of the config and the current crop of the
+   * image, or the largest centered area of the ratio
+   *
+   * @private
+   * @param {Object} attachment - Attachment model
+   * @returns {Object}
+   */
+  #getCropOptions(attachment) {
+    const imageWidth = attachment.get("width");
+    const imageHeight = attachment.get("height");
+    const [ratioWidth, ratioHeight] = this.#config.crop_ratio ?? [];
+    const crop =
+      attachment.get("id") === this.#getId() ? this.#getMeta().crop : null;
+
+    var area = { x: 0, y: 0, width: imageWidth, height: imageHeight };
+
+    if (crop) {
+      area = {
+        x: crop.x * imageWidth,
+        y: crop.y * imageHeight,
+        width: crop.width * imageWidth,
+        height: crop.height * imageHeight,
+      };
+    } else if (ratioWidth > 0 && ratioHeight > 0) {
+      const ratio = ratioWidth / ratioHeight;
+
+      if (imageWidth / imageHeight > ratio) {
+        area.width = imageHeight * ratio;
+        area.x = (imageWidth - area.width) / 2;
       } else {
-        this.#rootDom.append(
-          '<input type="text" required="" onkeypress="return false;" tabindex="-1" />',
-        );
+        area.height = imageWidth / ratio;
+        area.y = (imageHeight - area.height) / 2;
       }
     }
+
+    return {
+      handles: true,
+      keys: true,
+      instance: true,
+      persistent: true,
+      imageWidth: imageWidth,
+      imageHeight: imageHeight,
+      x1: Math.round(area.x),
+      y1: Math.round(area.y),
+      x2: Math.round(area.x + area.width),
+      y2: Math.round(area.y + area.height),
+      aspectRatio:
+        ratioWidth > 0 && ratioHeight > 0
+          ? `${ratioWidth}:${ratioHeight}`
+          : undefined,
+    };
   }
-}
+
+  /**
+   * Returns the crop of an attachment cropped in the Media Library as fractions of the image
+   *
+   * @private
+   * @param {Object} attachment - Attachment model with the `cropDetails` of the cropper
+   * @returns {Object|null}
+   */
+  #getCrop(attachment) {
+    const details = attachment.get("cropDetails");
+    const imageWidth = attachment.get("width");
+    const imageHeight = attachment.get("height");
+    if (!details || !(imageWidth > 0 && imageHeight > 0)) return null;
+
+    return YD_Input_Selection_Media.#toFractions(
+      {
+        x: details.x1 / imageWidth,
+        y: details.y1 / imageHeight,
+        width: details.width / imageWidth,
+        height: details.height / imageHeight,
+      },
+      ["x", "y", "width", "height"],
+    );
+  }
+
+  /**
+   * Selects an attachment picked in the Media Library and shows its preview
+   *
+   * @private
+   * @param {Object} attachment - Attachment JSON of the Media Library
+   * @param {Object|null} [crop=null] - Crop of the image as fractions
+   */
+  #pickAttachment(attachment, crop = null) {
+    this.#clearPreview();
+    this.#changeValue(attachment.id, { crop: crop, focal: null });
+    this.#showPreview(
+      attachment.type,
+      YD_Input_Selection_Media.#getPreviewUrl(attachment),
+      "yd-on-media-change",
+      attachment.filename,
+    );
+  }
+
+  /**
+   * Fetches the preview of the selected attachment and shows it
+   *
+   * @private
+   * @param {string} eventName - Event triggered with the preview DOM once it is shown
+   * @returns {Promise<void>}
+   */
+  #loadPreview(eventName) {
+    const id = this.#getId();
+    const spinner = jQuery('<div class="spinner is-active"></div>');
+    this.#rootDom.prepend(spinner);
+
+    return window.yd_core.action
+      .runAjax(
+        (data) => {
+          spinner.remove();
+          if (id === this.#getId()) {
+            this.#showPreview(data.type, data.url, eventName);
+          }
+        },
+        this.#ajaxActionName,
+        { id: id, size: "medium" },
+      )
+      .then(() => {})
+      .catch((error) => {
+        spinner.remove();
+        window.yd_core.ui.showError(error);
+      });
+  }
+
+  /**
+   * Shows the preview of an attachment
+   *
+   * @private
+   * @param {string} type - Attachment type (image, video, audio, application, ...)
+   * @param {string} url - Preview URL, the file URL of other types than image and video
+   * @param {string} eventName - Event triggered with the preview DOM
+   * @param {string} [fileName] - File name shown on the file card, taken from the URL by default
+   */
+  #showPreview(type, url, eventName, fileName = undefined) {
+    this.#previewUrl = url;
+
+    const previewDom = YD_Input_Selection_Media.#createPreview(
+      type,
+      url,
+      fileName,
+    );
+
+    this.#previewDom =
+      this.#isStructured && url && type === "image"
+        ? this.#createEditor(previewDom)
+        : previewDom;
+    this.#rootDom.prepend(this.#previewDom);
+    this.#updateEditor();
+    this.#rootDom.trigger(eventName, previewDom);
+  }
+
+  /**
+   * Wraps the preview of an image with the crop area, the focal point picked by clicking the image or with the
+   * arrow keys, and the button that crops the image again
+   *
+   * @private
+   * @param {jQuery} previewDom - Image preview
+   * @returns {jQuery}
+   */
+  #createEditor(previewDom) {
+    const getText = window.yd_core.ui.getText;
+    const editorDom = jQuery('<div class="media-editor"></div>');
+    const imageDom = jQuery('<div class="image"></div>').append(previewDom);
+
+    editorDom.append(imageDom);
+
+    if (this.#config.is_crop) {
+      imageDom.append('<div class="crop-area" aria-hidden="true"></div>');
+      editorDom.append(
+        jQuery('<button type="button" class="button-link crop"></button>')
+          .text(getText("Crop image"))
+          .on("click", (e) => {
+            e.preventDefault();
+            if (!this.isDisabled()) this.#openCropFrame();
+          }),
+      );
+    }
+
+    if (!this.#config.is_focal_point) return editorDom;
+
+    const focalDom = jQuery(
+      '<span class="focal-point" role="slider" tabindex="0"></span>',
+    ).attr({
+      "aria-label": getText("Focal point"),
+      title: getText("Click the image or press the arrow keys to move"),
+    });
+
+    imageDom
+      .addClass("has-focal-point")
+      .append(focalDom)
+      .on("click", (e) => {
+        if (this.isDisabled()) return;
+
+        const rect = imageDom[0].getBoundingClientRect();
+        if (!(rect.width > 0 && rect.height > 0)) return;
+
+        this.#setFocalPoint(
+          (e.clientX - rect.left) / rect.width,
+          (e.clientY - rect.top) / rect.height,
+        );
+        focalDom.focus();
+      });
+
+    focalDom.on("keydown", (e) => {
+      const offsets = { 37: [-1, 0], 38: [0, -1], 39: [1, 0], 40: [0, 1] };
+      if (this.isDisabled() || !offsets[e.keyCode]) return;
+
+      const focal = this.#getMeta().focal ?? { x: 0.5, y: 0.5 };
+      const step = e.shiftKey ? 0.1 : 0.01;
+
+      this.#setFocalPoint(
+        focal.x + offsets[e.keyCode][0] * step,
+        focal.y + offsets[e.keyCode][1] * step,
+      );
+      return false;
+    });
+
+    return editorDom;
+  }
+
+  /**
+   * Moves the focal point of the image, keeping it inside the image
+   *
+   * @private
+   * @param {number} x - Horizontal position as a fraction of the image
+   * @param {number} y - Vertical position as a fraction of the image
+   */
+  #setFocalPoint(x, y) {
+    this.#changeValue(this.#getId(), {
+      crop: this.#getMeta().crop,
+      focal: YD_Input_Selection_Media.#toFractions({ x, y }, ["x", "y"]),
+    });
+  }
+
+  /**
+   * Shows the crop and the focal point of the value on the image preview, the focal point defaulting to the center
+   *
+   * @private
+   */
+  #updateEditor() {
+    if (!this.#previewDom?.hasClass("media-editor")) return;
+
+    const { crop, focal } = this.#getMeta();
+    const focalPoint = focal ?? { x: 0.5, y: 0.5 };
+    const toPercent = (fraction) => `${Math.round(fraction * 10000) / 100}%`;
+
+    this.#previewDom
+      .find(".crop-area")
+      .toggle(crop !== null)
+      .css(
+        crop
+          ? {
+              left: toPercent(crop.x),
+              top: toPercent(crop.y),
+              width: toPercent(crop.width),
+              height: toPercent(crop.height),
+            }
+          : {},
+      );
+
+    this.#previewDom
+      .find(".focal-point")
+      .css({ left: toPercent(focalPoint.x), top: toPercent(focalPoint.y) })
+      .attr({
+        "aria-valuenow": Math.round(focalPoint.x * 100),
+        "aria-valuetext": `${Math.round(focalPoint.x * 100)}%, ${Math.round(focalPoint.y * 100)}%`,
+      });
+  }
+
+  /**
+   * Removes the preview of the current attachment
+   *
+   * @private
+   */
+  #clearPreview() {
+    this.#previewDom?.remove();
+    this.#previewDom = undefined;
+    this.#previewUrl = undefined;
+  }
+
+  /**
+   * Shows the preview of the selected attachment again when its URL changed, e.g. after the image was edited
+   *
+   * @private
+   * @param {Object} attachment - Attachment JSON of the Media Library
+   */
+  #refreshPreview(attachment) {
+    const url = YD_Input_Selection_Media.#getPreviewUrl(attachment);
+    if (!url || url === this.#previewUrl) return;
+
+    this.#clearPreview();
+    this.#showPreview(
+      attachment.type,
+      url,
+      "yd-on-media-change",
+      attachment.filename,
+    );
+  }
+
+  /**
+   * Creates the preview of an attachment: the image or video, or a file card with the icon of its type and its
+   * file name for the other types
+   *
+   * @private
+   * @param {string|undefined} type - Attachment type
+   * @param {string|undefined} url - Preview URL
+   * @param {string} [fileName] - File name of the file card, taken from the URL by default
+   * @returns {jQuery}
+   */
+  static #createPreview(type, url, fileName = undefined) {
+    if (url && type === "image") {
+      return jQuery('<img class="media" alt=""/>').attr("src", url);
+    }
+    if (url && type === "video") {
+      return jQuery(
+        '<video class="media" autoplay="1" loop="1" muted="1"/>',
+      ).attr("src", url);
+    }
+
+    const icons = {
+      audio: "media-audio",
+      application: "media-document",
+      text: "media-text",
+    };
+
+    fileName ??= url
+      ? decodeURIComponent(url.split(/[?#]/)[0].split("/").pop())
+      : "";
+
+    return jQuery('<div class="media file-card"></div>')
+      .attr("title", fileName)
+      .append(
+        jQuery('<span class="dashicons" aria-hidden="true"></span>').addClass(
+          `dashicons-${icons[type] ?? "media-default"}`,
+        ),
+        jQuery('<span class="file-name"></span>').text(fileName),
+      );
+  }
+
+  /**
+   * Returns the preview URL of an attachment picked in the Media Library: the medium size of images, the file of the
+   * others
+   *
+   * @private
+   * @param {Object} attachment - Attachment JSON of the Media Library
+   * @returns {string}
+   */
+  static #getPreviewUrl(attachment) {
+    return attachment.type === "image"
+      ? (attachment.sizes?.medium?.url ??
+          attachment.sizes?.full?.url ??
+          attachment.url)
+      : attachment.url;
+  }
+
+  /**
+   * Returns the types the Media Library is filtered with, images and videos when no MIME types are allowed
+   *
+   * @private
+   * @returns {string[]}
+   */
+  #getLibraryType() {
+    const mimeTypes = this.#config.constraints?.mime_types ?? [];
+
+    return mimeTypes.length ? mimeTypes : ["image", "video"];
+  }
+
+  /**
+   * Returns the constraint an attachment picked in the Media Library violates, or undefined when it conforms.
+   * Dimensions are only checked for attachments that have them (e.g. not for SVG images).
+   *
+   * @private
+   * @param {Object} attachment - Attachment JSON of the Media Library
+   * @returns {string|undefined}
+   */
+  #getAttachmentError(attachment) {
+    const constraints = this.#config.constraints ?? {};
+    const getText = window.yd_core.ui.getText;
+
+    const libraryType = this.#getLibraryType();
+    if (
+      !libraryType.includes(attachment.mime) &&
+      !libraryType.includes(attachment.type)
+    ) {
+      return getText("Please select a file of an allowed type.");
+    }
+
+    if (
+      constraints.max_file_size > 0 &&
+      attachment.filesizeInBytes > constraints.max_file_size
+    ) {
+      return getText("Please select a file of at most %s.").replace(
+        "%s",
+        YD_Input_Selection_Media.#formatFileSize(constraints.max_file_size),
+      );
+    }
+
+    const { width, height } = attachment;
+    if (!(width > 0 && height > 0)) return;
+
+    const limits = [
+      [
+        width < constraints.min_width,
+        "Please select a media at least %s pixels wide.",
+        constraints.min_width,
+      ],
+      [
+        height < constraints.min_height,
+        "Please select a media at least %s pixels high.",
+        constraints.min_height,
+      ],
+      [
+        constraints.max_width > 0 && width > constraints.max_width,
+        "Please select a media at most %s pixels wide.",
+        constraints.max_width,
+      ],
+      [
+        constraints.max_height > 0 && height > constraints.max_height,
+        "Please select a media at most %s pixels high.",
+        constraints.max_height,
+      ],
+    ];
+
+    for (const [isViolated, text, limit] of limits) {
+      if (isViolated) return getText(text).replace("%s", limit);
+    }
+
+    const [ratioWidth, ratioHeight] = constraints.aspect_ratio ?? [];
+    if (ratioWidth > 0 && ratioHeight > 0) {
+      const ratio = ratioWidth / ratioHeight;
+
+      if (
+        Math.abs(width / height - ratio) / ratio >
+        YD_Input_Selection_Media.#aspectRatioTolerance
+      ) {
+        return getText(
+          "Please select a media with an aspect ratio of %s.",
+        ).replace("%s", `${ratioWidth}:${ratioHeight}`);
+      }
+    }
+  }
+
+  /**
+   * Formats a file size in bytes, e.g. 2 MB
+   *
+   * @private
+   * @param {number} bytes - File size in bytes
+   * @returns {string}
+   */
+  static #formatFileSize(bytes) {
+    const units = ["B", "KB", "MB", "GB"];
+    var index = 0;
+
+    while (bytes >= 1024 && index < units.length - 1) {
+      bytes /= 1024;
+      index++;
+    }
+
+    return `${Math.round(bytes * 10) / 10} ${units[index]}`;
+  }
+
+  /**
+   * Shows the error of a rejected pick under the input, until the value changes
+   *
+   * @private
+   * @param {string} error - Error message
+   */
+  #reject(error) {
+    this.#rejection = error;
+    YD_Validator.validateInput(this.#rootDom.closest(".yd-admin-ui-input"));
+  }
+
+  /**
+   * Removes the selected media and its preview
+   *
+   * @private
+   */
+  #removeMedia() {
+    this.#clearPreview();
+    this.#changeValue(0, { crop: null, focal: null });
+    this.#rootDom.trigger("yd-on-media-change");
+  }
+
+  /**
+   * Stores a new attachment id, with the crop and the focal point of a structured value, and triggers the change
+   * events
+   *
+   * @private
+   * @param {number} id - Attachment id, 0 for no media
+   * @param {Object} [meta] - Crop and focal point of the image, `{ crop, focal }`
+   */
+  #changeValue(id, meta = undefined) {
+    const oldValue = this.getValue();
+
+    this.#rejection = undefined;
+    if (this.#isStructured && meta) this.#setMeta(meta);
+    this.#inputValue.val(id).trigger("input");
+    this.#updateActions();
+    this.#checkRequiredInput();
+    this.#updateEditor();
+
+    this.triggerChange(oldValue, this.getValue());
+  }
+
+  /**
+   * Shows the replace, edit and remove actions while an attachment is selected, the select action otherwise
+   *
+   * @private
+   */
+  #updateActions() {
+    const isSelected = this.#getId() > 0;
+
+    this.#buttonAction.text(
+      window.yd_core.ui.getText(isSelected ? "Replace media" : "Select media"),
+    );
+    this.#actionsDom.prop("hidden", !isSelected);
+  }
+
+  /**
+   * Returns the selected attachment id of single mode, 0 for no media
+   *
+   * @private
+   * @returns {number}
+   */
+  #getId() {
+    return parseInt(this.#inputValue.val()) || 0;
+  }
+
+  /**
+   * Returns the crop and the focal point stored in the hidden inputs, null for the ones not set
+   *
+   * @private
+   * @returns {{crop: Object|null, focal: Object|null}}
+   */
+  #getMeta() {
+    const meta = { crop: null, focal: null };
+
+    this.#rootDom.children("input.meta").each((_, inputDom) => {
+      const { meta: name, key } = inputDom.dataset;
+      if (!(name in meta)) return;
+
+      meta[name] ??= {};
+      meta[name][key] = parseFloat(inputDom.value) || 0;
+    });
+
+    return {
+      crop: YD_Input_Selection_Media.#toFractions(meta.crop, [
+        "x",
+        "y",
+        "width",
+        "height",
+      ]),
+      focal: YD_Input_Selection_Media.#toFractions(meta.focal, ["x", "y"]),
+    };
+  }
+
+  /**
+   * Replaces the hidden inputs of the crop and the focal point, named `data_name[crop][x]`, ...
+   *
+   * @private
+   * @param {{crop: Object|null, focal: Object|null}} meta - Crop and focal point of the image
+   */
+  #setMeta(meta) {
+    const name = this.#inputValue.attr("name").replace(/\[id\]$/, "");
+
+    this.#rootDom.children("input.meta").remove();
+    this.#inputValue.after(
+      ["crop", "focal"].flatMap((key) =>
+        Object.entries(meta[key] ?? {}).map(([field, fraction]) =>
+          jQuery('<input type="hidden" class="meta">')
+            .attr({
+              name: `${name}[${key}][${field}]`,
+              "data-meta": key,
+              "data-key": field,
+            })
+            .val(fraction)
+            .prop("disabled", this.isDisabled()),
+        ),
+      ),
+    );
+  }
+
+  /**
+   * Returns an object of the given keys with fractions between 0 and 1 rounded to 4 decimals, or null when a key is
+   * not a number
+   *
+   * @private
+   * @param {Object|null|undefined} value - Object of fractions
+   * @param {string[]} keys - Keys of the object
+   * @returns {Object|null}
+   */
+  static #toFractions(value, keys) {
+    if (value === null || typeof value !== "object") return null;
+
+    const fractions = {};
+    for (const key of keys) {
+      const fraction = parseFloat(value[key]);
+      if (!Number.isFinite(fraction)) return null;
+
+      fractions[key] =
+        Math.round(Math.min(Math.max(fraction, 0), 1) * 10000) / 10000;
+    }
+    return fractions;
+  }
+
+  /**
+   * Opens the Media Library for adding attachments to the gallery, up to its `max` count
+   *
+   * @private
+   */
+  #openGalleryFrame() {
+    const remaining =
+      this.#config.max > 0
+        ? this.#config.max - this.getValue().length
+        : Infinity;
+    if (remaining <= 0) return;
+
+    const frame = window.wp.media({
+      multiple: "add",
+      library: { type: this.#getLibraryType() },
+    });
+
+    frame.on("select", () => {
+      const errors = this.#addGalleryAttachments(
+        frame.state().get("selection").toJSON(),
+      );
+      if (errors.length) this.#reject(errors.join(" "));
+    });
+
+    frame.open();
+  }
+
+  /**
+   * Adds attachments picked in the Media Library or uploaded to the gallery, up to its `max` count, leaving out the
+   * ones already in the gallery and the ones violating the constraints
+   *
+   * @private
+   * @param {Object[]} attachments - Attachment JSONs of the Media Library
+   * @returns {string[]} Errors of the attachments that are not added
+   */
+  #addGalleryAttachments(attachments) {
+    const ids = this.getValue();
+    const remaining =
+      this.#config.max > 0 ? this.#config.max - ids.length : Infinity;
+    const errors = [];
+
+    attachments = attachments
+      .filter((attachment) => !ids.includes(attachment.id))
+      .filter((attachment) => {
+        const error = this.#getAttachmentError(attachment);
+        if (error !== undefined) {
+          errors.push(`${attachment.filename}: ${error}`);
+        }
+        return error === undefined;
+      });
+
+    if (attachments.length > remaining) {
+      errors.push(
+        window.yd_core.ui
+          .getText("Please select at most %s media.")
+          .replace("%s", this.#config.max),
+      );
+    }
+
+    const itemDoms = attachments
+      .slice(0, Math.max(remaining, 0))
+      .map((attachment) => {
+        const itemDom = this.#createGalleryItem(attachment.id).appendTo(
+          this.#galleryDom,
+        );
+
+        this.#showGalleryPreview(
+          itemDom,
+          attachment.type,
+          YD_Input_Selection_Media.#getPreviewUrl(attachment),
+          attachment.filename,
+        );
+        return itemDom[0];
+      });
+
+    if (itemDoms.length) {
+      this.#changeGallery();
+      this.#rootDom.trigger("yd-on-media-change", jQuery(itemDoms));
+    }
+    return errors;
+  }
+
+  /**
+   * Selects the attachments of the given ids in gallery mode, keeping the items of the ids already shown
+   *
+   * @private
+   * @param {Array|number|string} value - Attachment ids
+   * @returns {Promise<void>}
+   */
+  #setGalleryValue(value) {
+    const ids = [
+      ...new Set(
+        []
+          .concat(value ?? [])
+          .map((id) => parseInt(id) || 0)
+          .filter((id) => id > 0),
+      ),
+    ];
+
+    if (JSON.stringify(ids) === JSON.stringify(this.getValue())) {
+      return Promise.resolve();
+    }
+
+    const itemDoms = new Map(
+      this.#galleryDom
+        .children(".gallery-item")
+        .toArray()
+        .map((itemDom) => [parseInt(jQuery(itemDom).attr("data-id")), itemDom]),
+    );
+    const missingIds = ids.filter((id) => !itemDoms.has(id));
+
+    this.#galleryDom.children(".gallery-item").detach();
+    itemDoms.forEach((itemDom, id) => {
+      if (!ids.includes(id)) jQuery(itemDom).remove();
+    });
+    this.#galleryDom.append(
+      ids.map((id) => itemDoms.get(id) ?? this.#createGalleryItem(id)[0]),
+    );
+
+    this.#changeGallery();
+
+    if (!missingIds.length) {
+      this.#rootDom.trigger("yd-on-media-change", this.#galleryDom.children());
+      return Promise.resolve();
+    }
+
+    return this.#loadGalleryPreviews(missingIds, "yd-on-media-change");
+  }
+
+  /**
+   * Creates the item of an attachment in gallery mode, with the hidden input of its id
+   *
+   * @private
+   * @param {number} id - Attachment id
+   * @returns {jQuery}
+   */
+  #createGalleryItem(id) {
+    const itemDom = jQuery('<li class="gallery-item"></li>')
+      .attr("data-id", id)
+      .append(
+        jQuery('<input type="hidden">')
+          .attr({ name: `${this.#config.data_name}[]`, value: id })
+          .prop("disabled", this.isDisabled()),
+      );
+
+    this.#loadGalleryItem(itemDom);
+    return itemDom;
+  }
+
+  /**
+   * Adds the remove button to an item of gallery mode and binds its pointer and keyboard (Alt+Arrow) reordering
+   * and its removal with the Delete key
+   *
+   * @private
+   * @param {jQuery} itemDom - Gallery item
+   */
+  #loadGalleryItem(itemDom) {
+    var startPoint, isDragging;
+
+    const removeDom = jQuery(
+      '<button type="button" class="remove"><span class="dashicons dashicons-no-alt" aria-hidden="true"></span></button>',
+    )
+      .attr("aria-label", window.yd_core.ui.getText("Remove media"))
+      .on("click", (e) => {
+        e.preventDefault();
+        if (this.isDisabled()) return;
+
+        this.#removeGalleryItem(itemDom);
+      });
+
+    itemDom
+      .attr({
+        tabindex: "0",
+        title: window.yd_core.ui.getText(
+          "Drag or press Alt+Arrow keys to move",
+        ),
+      })
+      .append(removeDom)
+      .on("pointerdown", (e) => {
+        if (this.isDisabled()) return;
+        if (e.button !== 0 || jQuery(e.target).closest(".remove").length)
+          return;
+
+        startPoint = { x: e.clientX, y: e.clientY };
+        isDragging = false;
+        itemDom[0].setPointerCapture(e.pointerId);
+      })
+      .on("pointermove", (e) => {
+        if (!startPoint) return;
+
+        if (!isDragging) {
+          const distance = Math.hypot(
+            e.clientX - startPoint.x,
+            e.clientY - startPoint.y,
+          );
+          if (distance < 4) return;
+
+          isDragging = true;
+          itemDom.addClass("dragging");
+        }
+
+        for (const targetDom of itemDom.siblings(".gallery-item")) {
+          const rect = targetDom.getBoundingClientRect();
+          const isInside =
+            e.clientX >= rect.left &&
+            e.clientX <= rect.right &&
+            e.clientY >= rect.top &&
+            e.clientY <= rect.bottom;
+
+          if (isInside) {
+            if (e.clientX < rect.left + rect.width / 2) {
+              itemDom.insertBefore(targetDom);
+            } else {
+              itemDom.insertAfter(targetDom);
+            }
+            break;
+          }
+        }
+      })
+      .on("pointerup pointercancel", (e) => {
+        if (!startPoint) return;
+
+        itemDom[0].releasePointerCapture(e.pointerId);
+        itemDom.removeClass("dragging");
+        startPoint = undefined;
+
+        if (isDragging) this.#changeGallery();
+      })
+      .on("keydown", (e) => {
+        if (this.isDisabled() || e.target !== itemDom[0]) return;
+
+        if (["Delete", "Backspace"].includes(e.key)) {
+          this.#removeGalleryItem(itemDom);
+          return false;
+        }
+
+        if (!e.altKey || ![37, 38, 39, 40].includes(e.keyCode)) return;
+
+        if ([37, 38].includes(e.keyCode)) {
+          const prevItemDom = itemDom.prev(".gallery-item");
+          if (!prevItemDom.length) return false;
+          itemDom.insertBefore(prevItemDom);
+        } else {
+          const nextItemDom = itemDom.next(".gallery-item");
+          if (!nextItemDom.length) return false;
+          itemDom.insertAfter(nextItemDom);
+        }
+
+        itemDom.focus();
+        this.#changeGallery();
+        return false;
+      });
+  }
+
+  /**
+   * Removes an item of gallery mode, moving the focus to the next item or the add button
+   *
+   * @private
+   * @param {jQuery} itemDom - Gallery item
+   */
+  #removeGalleryItem(itemDom) {
+    const hasFocus = itemDom[0].contains(window.document.activeElement);
+    const nextDom = itemDom.next(".gallery-item").length
+      ? itemDom.next(".gallery-item")
+      : itemDom.prev(".gallery-item");
+
+    itemDom.remove();
+    this.#changeGallery();
+    this.#rootDom.trigger("yd-on-media-change");
+
+    if (hasFocus) (nextDom.length ? nextDom : this.#buttonAction).focus();
+  }
+
+  /**
+   * Fetches the previews of attachments of gallery mode and shows them, with one batched request when the action
+   * accepts batches, otherwise with one request per attachment
+   *
+   * @private
+   * @param {number[]} ids - Attachment ids
+   * @param {string} eventName - Event triggered with the gallery items once the previews are shown
+   * @returns {Promise<void>}
+   */
+  #loadGalleryPreviews(ids, eventName) {
+    const spinner = jQuery('<div class="spinner is-active"></div>');
+    this.#rootDom.prepend(spinner);
+
+    const entries = ids.map((id) => ({ id: id, size: "medium" }));
+    const request = this.#config.is_batchable
+      ? window.yd_core.action.runAjax(null, this.#ajaxActionName, {
+          batch: entries,
+        })
+      : Promise.all(
+          entries.map((entry) =>
+            window.yd_core.action
+              .runAjax(null, this.#ajaxActionName, entry)
+              .catch(() => undefined),
+          ),
+        );
+
+    return Promise.resolve(request)
+      .then((response) => {
+        spinner.remove();
+
+        ids.forEach((id, index) => {
+          const data = Array.isArray(response) ? response[index] : undefined;
+          const itemDom = this.#galleryDom.children(
+            `.gallery-item[data-id="${id}"]`,
+          );
+
+          if (itemDom.length) {
+            this.#showGalleryPreview(itemDom, data?.type, data?.url);
+          }
+        });
+
+        this.#rootDom.trigger(eventName, this.#galleryDom.children());
+      })
+      .catch((error) => {
+        spinner.remove();
+        window.yd_core.ui.showError(error);
+      });
+  }
+
+  /**
+   * Shows the preview of an item of gallery mode, a file card for attachments without an image or video preview
+   *
+   * @private
+   * @param {jQuery} itemDom - Gallery item
+   * @param {string|undefined} type - Attachment type
+   * @param {string|undefined} url - Preview URL
+   * @param {string} [fileName] - File name shown on the file card, taken from the URL by default
+   */
+  #showGalleryPreview(itemDom, type, url, fileName = undefined) {
+    itemDom.children(".media").remove();
+    itemDom.prepend(
+      YD_Input_Selection_Media.#createPreview(type, url, fileName),
+    );
+  }
+
+  /**
+   * Updates the state of gallery mode after its items changed and triggers the change event
+   *
+   * @private
+   */
+  #changeGallery() {
+    const value = this.getValue();
+
+    this.#rejection = undefined;
+    this.#checkGallery();
+    this.triggerChange(this.#lastValue, value);
+    this.#lastValue = value;
+  }
+
+  /**
+   * Disables the add button of a full gallery and adds the required input while it has fewer attachments than
+   * needed
+   *
+   * @private
+   */
+  #checkGallery() {
+    const count = this.getValue().length;
+    const isFull = this.#config.max > 0 && count >= this.#config.max;
+
+    if (!this.isDisabled()) {
+      this.#buttonAction.toggleClass("disabled", isFull).attr({
+        tabindex: isFull ? "-1" : "0",
+        "aria-disabled": isFull ? "true" : null,
+      });
+    }
+
+    this.updateRequiredInput(
+      this.#rootDom,
+      count < Math.max(this.#config.min ?? 0, 1),
+    );
+  }
+
+  /**
+   * Binds the upload of the files dropped onto or pasted into the input
+   *
+   * @private
+   */
+  #loadUploadEvents() {
+    const hasFiles = (e) =>
+      Array.from(e.originalEvent.dataTransfer?.types ?? []).includes("Files");
+
+    this.#rootDom
+      .on("dragenter dragover", (e) => {
+        if (this.isDisabled() || !hasFiles(e)) return;
+
+        e.preventDefault();
+        e.originalEvent.dataTransfer.dropEffect = "copy";
+        this.#rootDom.addClass("drag-over");
+      })
+      .on("dragleave", (e) => {
+        if (this.#rootDom[0].contains(e.originalEvent.relatedTarget)) return;
+
+        this.#rootDom.removeClass("drag-over");
+      })
+      .on("drop", (e) => {
+        this.#rootDom.removeClass("drag-over");
+        if (this.isDisabled() || !hasFiles(e)) return;
+
+        e.preventDefault();
+        this.#uploadFiles(Array.from(e.originalEvent.dataTransfer.files));
+      })
+      .on("paste", (e) => {
+        const files = Array.from(e.originalEvent.clipboardData?.files ?? []);
+        if (this.isDisabled() || !files.length) return;
+
+        e.preventDefault();
+        this.#uploadFiles(files);
+      });
+  }
+
+  /**
+   * Uploads files one by one after checking their type and size, and selects the uploaded attachments as if they were
+   * picked in the Media Library. A single file is uploaded outside of gallery mode. The errors of the rejected files
+   * are shown together once the uploads finish.
+   *
+   * @private
+   * @param {File[]} files - Dropped or pasted files
+   * @returns {Promise<void>}
+   */
+  #uploadFiles(files) {
+    const getText = window.yd_core.ui.getText;
+    const isGallery = Boolean(this.#config.is_gallery);
+    const remaining = !isGallery
+      ? 1
+      : this.#config.max > 0
+        ? this.#config.max - this.getValue().length
+        : Infinity;
+    const errors = [];
+
+    files = files.filter((file) => {
+      const error = this.#getAttachmentError({
+        filename: file.name,
+        mime: file.type,
+        type: file.type.split("/")[0],
+        filesizeInBytes: file.size,
+      });
+
+      if (error !== undefined) errors.push(`${file.name}: ${error}`);
+      return error === undefined;
+    });
+
+    if (files.length > remaining) {
+      errors.push(
+        isGallery
+          ? getText("Please select at most %s media.").replace(
+              "%s",
+              this.#config.max,
+            )
+          : getText("Please select a single file."),
+      );
+    }
+
+    files = files.slice(0, Math.max(remaining, 0));
+
+    // Without the settings of the WordPress uploader the files would be posted to the current page
+    if (files.length && !window._wpPluploadSettings?.defaults?.url) {
+      errors.push(getText("The file could not be uploaded."));
+      files = [];
+    }
+
+    return files
+      .reduce(
+        (promise, file) =>
+          promise.then((attachments) =>
+            this.#uploadFile(file).then(
+              (attachment) => [...attachments, attachment],
+              (error) => {
+                errors.push(`${file.name}: ${error}`);
+                return attachments;
+              },
+            ),
+          ),
+        Promise.resolve([]),
+      )
+      .then((attachments) => {
+        if (isGallery) {
+          errors.push(...this.#addGalleryAttachments(attachments));
+        } else if (attachments.length) {
+          this.#pickUploaded(attachments[0]);
+        }
+
+        if (errors.length) this.#reject(errors.join(" "));
+      });
+  }
+
+  /**
+   * Uploads a file to the Media Library with the settings of the WordPress uploader, showing its progress
+   *
+   * @private
+   * @param {File} file - File to upload
+   * @returns {Promise<Object>} Attachment JSON of the uploaded file, rejected with the error message
+   */
+  #uploadFile(file) {
+    const getText = window.yd_core.ui.getText;
+    const settings = window._wpPluploadSettings.defaults;
+    const formData = new FormData();
+
+    for (const [key, value] of Object.entries(
+      settings.multipart_params ?? {},
+    )) {
+      formData.append(key, value);
+    }
+    formData.append("name", file.name);
+    formData.append(settings.file_data_name ?? "async-upload", file, file.name);
+
+    const progressDom = jQuery(
+      '<div class="upload-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0"><span class="bar"></span><span class="file-name"></span></div>',
+    ).attr("aria-label", getText("Uploading %s").replace("%s", file.name));
+
+    progressDom.children(".file-name").text(file.name);
+    this.#rootDom.prepend(progressDom);
+
+    const setProgress = (fraction) => {
+      progressDom.attr("aria-valuenow", Math.round(fraction * 100));
+      progressDom.children(".bar").css("width", `${fraction * 100}%`);
+    };
+
+    return new Promise((resolve, reject) => {
+      jQuery
+        .ajax({
+          url: settings.url,
+          type: "POST",
+          data: formData,
+          dataType: "json",
+          processData: false,
+          contentType: false,
+          xhr: () => {
+            const xhr = new window.XMLHttpRequest();
+            xhr.upload?.addEventListener("progress", (e) => {
+              if (e.lengthComputable) setProgress(e.loaded / e.total);
+            });
+            return xhr;
+          },
+        })
+        .done((response) => {
+          if (response?.success) {
+            resolve(response.data);
+          } else {
+            reject(
+              response?.data?.message ??
+                getText("The file could not be uploaded."),
+            );
+          }
+        })
+        .fail(() => reject(getText("The file could not be uploaded.")))
+        .always(() => progressDom.remove());
+    });
+  }
+
+  /**
+   * Selects an uploaded attachment the same way as the one picked in the Media Library: the constraints are checked
+   * and images are cropped when cropping is on
+   *
+   * @private
+   * @param {Object} attachment - Attachment JSON of the uploaded file
+   */
+  #pickUploaded(attachment) {
+    const error = this.#getAttachmentError(attachment);
+    if (error !== undefined) {
+      this.#reject(error);
+      return;
+    }
+
+    if (
+      this.#isStructured &&
+      this.#config.is_crop &&
+      attachment.type === "image"
+    ) {
+      this.#openCropFrame(
+        window.wp.media.attachment(attachment.id).set(attachment),
+      );
+      return;
+    }
+
+    this.#pickAttachment(attachment);
+  }
+
+  /**
+   * Adds or removes a required input field depending on current selection
+   *
+   * @private
+   */
+  #checkRequiredInput() {
+    if (this.#config.is_gallery) {
+      this.#checkGallery();
+      return;
+    }
+
+    this.updateRequiredInput(this.#rootDom, !(this.#getId() > 0));
+  }
+}
+
+window.yd_core.ui.registerType("selection-media", YD_Input_Selection_Media);
@@ -3,6 +3,8 @@
  * A dynamic input selection component supporting both single and multiple selection modes.
  * Features include asynchronous item loading via AJAX, live search with debounce, full keyboard navigation,
  * accessibility support, dynamic placeholder handling, and integration with hidden input elements for form data handling.
+ * In multiple mode the selected items can be reordered by dragging them or with Alt+Arrow keys.
+ * Search results and id lookups are kept in an LRU cache shared by all instances and superseded searches are aborted.
  * It also ensures responsive DOM rendering and user interaction tracking.
  *
  * Author: Yigit Demir
@@ -12,7 +14,22 @@
 
 "use strict";
 
-class YD_Input_Selection {
+class YD_Input_Selection extends YD_Input_Base {
+  /**
+   * Maximum number of entries kept in the shared result cache
+   *
+   * @type {number}
+   */
+  static #cacheLimit = 500;
+
+  /**
+   * Result cache shared by all selection instances on the page, ordered from least to most recently used.
+   * Holds keyword search results and id→item lookups per ajax action and properties.
+   *
+   * @type {Map<string, *>}
+   */
+  static #cache = new Map();
+
   /**
    * Ajax action name used for requests
    *
@@ -83,13 +100,6 @@ class YD_Input_Selection {
    */
   #nameRemoveDom;
 
-  /**
-   * DOM element for description (optional)
-   *
-   * @type {jQuery}
-   */
-  #descriptionDom;
-
   /**
    * Configuration object passed to the component
    *
@@ -111,6 +121,34 @@ class YD_Input_Selection {
    */
   #value;
 
+  /**
+   * State of the current keyword search (keyword, last loaded page, whether more pages exist, loading flag)
+   *
+   * @type {{keyword: string, page: number, hasMore: boolean, isLoading: boolean}|undefined}
+   */
+  #search;
+
+  /**
+   * Abort key of the keyword search requests, so a new search aborts the superseded one
+   *
+   * @type {Symbol}
+   */
+  #searchAbortKey = Symbol("search");
+
+  /**
+   * Items of the initial value resolved in a batch for all selection inputs of the page
+   *
+   * @type {Promise<Array<Object>>|undefined}
+   */
+  #preloadedItems;
+
+  /**
+   * Value of the last change event, used to detect changes of the selected data
+   *
+   * @type {Array|undefined}
+   */
+  #lastValue;
+
   /**
    * Creates an instance of YD_Input_Selection.
    *
@@ -118,56 +156,150 @@ class YD_Input_Selection {
    * @param {string} config - JSON string of configuration
    * @param {string} properties - JSON string of properties
    * @param {string} value - JSON string of value
+   * @param {Promise<Array<Object>>} [items=undefined] - Items of the value, resolved in a batch by init
    */
-  constructor(rootDom, config, properties, value) {
-    this.#rootDom = jQuery(rootDom);
-    this.#config = JSON.parse(config);
-    this.#properties = JSON.parse(properties);
-    this.#value = JSON.parse(value);
+  constructor(rootDom, config, properties, value, items = undefined) {
+    super(rootDom, config);
+
+    this.#rootDom = this.getRootDom();
+    this.#config = this.getConfig();
+    this.#properties = YD_Input_Base.parseJSON(properties, {});
+    this.#value = YD_Input_Base.parseJSON(value, []);
+    this.#preloadedItems = items;
 
     this.#ajaxActionName = this.#config.ajax_action_name ?? "wc-search";
-    this.#data = this.#value;
+    this.#data = [].concat(this.#value);
 
     this.#render();
   }
 
   /**
-   * Returns the root DOM element
+   * Creates the selection of a root DOM rendered by its PHP view
    *
-   * @returns {jQuery}
+   * @param {jQuery} rootDom - Root DOM element
+   * @param {Object} [context={}] - Data prepared by init, `items` of the value resolved in a batch
+   * @returns {YD_Input_Selection}
    */
-  getRootDom() {
-    return this.#rootDom;
+  static create(rootDom, context = {}) {
+    return new this(
+      rootDom,
+      rootDom.attr("data-config"),
+      rootDom.attr("data-properties"),
+      rootDom.attr("data-value"),
+      context.items,
+    );
   }
 
   /**
-   * Retrieves a value from the config by key
+   * Modifies a key in the properties object
    *
-   * @param {string} key - Config key
-   * @returns {*}
+   * @param {string} key - Property key
+   * @param {*} value - New value to assign
    */
-  getConfig(key) {
-    return this.#config[key];
+  modifyProperties(key, value) {
+    Object.defineProperty(this.#properties, key, { value: value });
   }
 
   /**
-   * Modifies a key in the config object
+   * Returns the selected ids
    *
-   * @param {string} key - Config key
-   * @param {*} value - New value to assign
+   * @returns {Array}
    */
-  modifyConfig(key, value) {
-    Object.defineProperty(this.#config, key, { value: value });
+  getValue() {
+    return [...this.#data];
   }
 
   /**
-   * Modifies a key in the properties object
+   * Selects the items of the given ids, fetching their names as needed.
+   * Only the first id is used in single mode and ids without a found item are dropped.
    *
-   * @param {string} key - Property key
-   * @param {*} value - New value to assign
+   * @param {Array|string|number} value - Id or ids to select
+   * @returns {Promise<void>}
    */
-  modifyProperties(key, value) {
-    Object.defineProperty(this.#properties, key, { value: value });
+  setValue(value) {
+    const ids = [].concat(value ?? []).filter((id) => id !== "");
+
+    return new Promise((resolve) => {
+      this.#getCachedItems(
+        (items) => {
+          this.#renderItems(items);
+          resolve();
+        },
+        this.#config.is_multiple ? ids : ids.slice(0, 1),
+      );
+    });
+  }
+
+  /**
+   * Restores the value the selection was rendered with
+   *
+   * @returns {Promise<void>}
+   */
+  reset() {
+    return this.setValue(this.#value);
+  }
+
+  /**
+   * Removes all selected items
+   *
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this.setValue([]);
+  }
+
+  /**
+   * Aborts a pending keyword search and releases the input
+   */
+  dispose() {
+    window.yd_core.action.abortAjax(this.#searchAbortKey);
+    super.dispose();
+  }
+
+  /**
+   * Disables the selection, so it can not be changed and is not submitted
+   */
+  disable() {
+    super.disable();
+    this.#inputEdit.blur().prop("disabled", true);
+    this.#selectionDom.attr({ tabindex: "-1", "aria-disabled": "true" });
+    this.#updateDataInput();
+  }
+
+  /**
+   * Enables the selection again
+   */
+  enable() {
+    super.enable();
+    this.#inputEdit.prop("disabled", false);
+    this.#selectionDom.removeAttr("aria-disabled");
+    if (!this.#config.is_multiple) this.#selectionDom.attr("tabindex", "0");
+    else this.#selectionDom.removeAttr("tabindex");
+    this.#updateDataInput();
+  }
+
+  /**
+   * Replaces the selected items with the given ones
+   *
+   * @private
+   * @param {Array<Object>} items - Items to select ({id, name})
+   */
+  #renderItems(items) {
+    this.#data = items.map((item) => item.id);
+
+    if (this.#config.is_multiple) {
+      this.#rootDom.find(".selected-items > li:not(.edit)").remove();
+      this.#rootDom
+        .find(".selected-items")
+        .prepend(items.map((item) => this.#createItemDom(item)));
+    } else if (items.length) {
+      this.#nameDom.show();
+      this.#nameValueDom.text(items[0].name);
+      this.#nameRemoveDom.show();
+    }
+
+    this.#updateDataInput();
+    this.updateHeight(this.#selectionDom);
   }
 
   /**
@@ -211,7 +343,6 @@ class YD_Input_Selection {
     this.#selectionDom = this.#rootDom.find(".selection");
     this.#allItemsDom = this.#selectionDom.find(".all-items");
     this.#allItemsListDom = this.#allItemsDom.find("ul");
-    this.#descriptionDom = this.#rootDom.find(".description");
 
     const rootDomId = this.#rootDom.attr("id");
 
@@ -224,7 +355,7 @@ class YD_Input_Selection {
             return this.#createItemDom(item);
           }),
         );
-        this.#updateDomHeight();
+        this.updateHeight(this.#selectionDom);
       });
     } else {
       this.#nameDom = this.#rootDom.find(".selection > .name");
@@ -246,7 +377,7 @@ class YD_Input_Selection {
 
     this.#updateDataInput();
     this.#loadEvents();
-    this.#updateDomHeight();
+    this.updateHeight(this.#selectionDom);
   }
 
   /**
@@ -256,6 +387,11 @@ class YD_Input_Selection {
    */
   #loadEvents() {
     this.#selectionDom.on("click mousedown", (e) => {
+      if (this.isDisabled()) {
+        e.preventDefault();
+        return;
+      }
+
       if (e.type === "mousedown" && this.#selectionDom.hasClass("focused")) {
         this.#inputEdit.focus();
       } else if (e.type === "click") {
@@ -272,6 +408,8 @@ class YD_Input_Selection {
       this.#selectionDom.removeClass("focused");
       this.#allItemsDom.hide();
       this.#allItemsListDom.empty();
+      this.#search = undefined;
+      window.yd_core.action.abortAjax(this.#searchAbortKey);
       if (!this.#config.is_multiple) {
         this.#inputEdit.val("");
       }
@@ -282,6 +420,8 @@ class YD_Input_Selection {
     this.#inputEdit.on("input", (e) => {
       const keyword = e.target.value;
       clearTimeout(timeoutId);
+      this.#search = undefined;
+      window.yd_core.action.abortAjax(this.#searchAbortKey);
 
       if (keyword.length) {
         allItemsSpinner.addClass("is-active");
@@ -289,20 +429,33 @@ class YD_Input_Selection {
         this.#allItemsDom.show();
 
         timeoutId = setTimeout(() => {
-          this.#listItemsByKeyword((items) => {
-            allItemsSpinner.removeClass("is-active");
-            this.#allItemsListDom.empty();
-            this.#allItemsListDom.append(items);
-
-            const selectedItem = this.#allItemsListDom.find("[data-selected]");
-            if (selectedItem.length) {
-              var targetPosition = 0;
-              selectedItem.prevAll().each((_, itemDom) => {
-                targetPosition += jQuery(itemDom).outerHeight();
-              });
-              this.#allItemsListDom.scrollTop(targetPosition);
-            }
-          }, keyword);
+          const search = { keyword, page: 1, hasMore: true, isLoading: true };
+          this.#search = search;
+
+          this.#listItemsByKeyword(
+            (items, hasMore) => {
+              if (search !== this.#search) return;
+
+              search.isLoading = false;
+              search.hasMore = hasMore;
+
+              allItemsSpinner.removeClass("is-active");
+              this.#allItemsListDom.empty();
+              this.#allItemsListDom.append(items);
+
+              const selectedItem =
+                this.#allItemsListDom.find("[data-selected]");
+              if (selectedItem.length) {
+                var targetPosition = 0;
+                selectedItem.prevAll().each((_, itemDom) => {
+                  targetPosition += jQuery(itemDom).outerHeight();
+                });
+                this.#allItemsListDom.scrollTop(targetPosition);
+              }
+            },
+            keyword,
+            search.page,
+          );
         }, 500);
       } else {
         if (this.#config.is_multiple) {
@@ -335,11 +488,13 @@ class YD_Input_Selection {
                 this.#allItemsListDom.scrollTop() + targetPositionTop,
               );
             }
+          } else if (e.keyCode === 40) {
+            this.#listNextPage();
           }
 
           e.preventDefault();
         } else if (e.type === "keyup" && e.keyCode == 13) {
-          this.#allItemsListDom.find("[data-hover").click();
+          this.#allItemsListDom.find("[data-hover]").click();
           this.#selectionDom.focus();
         }
       }
@@ -349,6 +504,14 @@ class YD_Input_Selection {
       }
     });
 
+    this.#allItemsListDom.on("scroll", () => {
+      const listDom = this.#allItemsListDom[0];
+      const remainingHeight =
+        listDom.scrollHeight - listDom.scrollTop - listDom.clientHeight;
+
+      if (remainingHeight < 40) this.#listNextPage();
+    });
+
     if (this.#config.is_multiple) {
       this.#inputEdit
         .on("keydown", (e) => {
@@ -376,9 +539,12 @@ class YD_Input_Selection {
         });
     } else {
       this.#nameValueDom.on("click", (e) => {
+        if (this.isDisabled()) return;
         this.#allItemsDom.show();
       });
       this.#nameRemoveDom.on("click keydown keyup", (e) => {
+        if (this.isDisabled()) return false;
+
         if (
           (["keyup", "keydown"].includes(e.type) &&
             [32, 13].includes(e.keyCode)) ||
@@ -416,17 +582,123 @@ class YD_Input_Selection {
       `<li data-id="${item.id}"><span class="remove">x</span> <span class="name">${item.name}</span></li>`,
     );
     itemDom.find("span.remove").on("click", () => {
-      if (!this.#rootDom.hasClass("ignored")) {
+      if (this.isDisabled()) return;
+
+      if (!this.isIgnored()) {
         jQuery(window.document).trigger("yd-form-change");
       }
       this.#data = this.#data.filter((value) => value != item.id);
       this.#updateDataInput();
       itemDom.remove();
-      this.#updateDomHeight();
+      this.updateHeight(this.#selectionDom);
     });
+    this.#loadItemSortEvents(itemDom);
     return itemDom;
   }
 
+  /**
+   * Binds pointer and keyboard (Alt+Arrow) reordering to a selected item
+   *
+   * @private
+   * @param {jQuery} itemDom - Selected item DOM
+   */
+  #loadItemSortEvents(itemDom) {
+    var startPoint, isDragging;
+
+    itemDom
+      .attr("tabindex", "0")
+      .on("pointerdown", (e) => {
+        if (this.isDisabled()) return;
+        if (e.button !== 0 || jQuery(e.target).is(".remove")) return;
+
+        startPoint = { x: e.clientX, y: e.clientY };
+        isDragging = false;
+        itemDom[0].setPointerCapture(e.pointerId);
+      })
+      .on("pointermove", (e) => {
+        if (!startPoint) return;
+
+        if (!isDragging) {
+          const distance = Math.hypot(
+            e.clientX - startPoint.x,
+            e.clientY - startPoint.y,
+          );
+          if (distance < 4) return;
+
+          isDragging = true;
+          itemDom.addClass("dragging");
+        }
+
+        for (const targetDom of itemDom.siblings("li:not(.edit)")) {
+          const rect = targetDom.getBoundingClientRect();
+          const isInside =
+            e.clientX >= rect.left &&
+            e.clientX <= rect.right &&
+            e.clientY >= rect.top &&
+            e.clientY <= rect.bottom;
+
+          if (isInside) {
+            if (e.clientX < rect.left + rect.width / 2) {
+              itemDom.insertBefore(targetDom);
+            } else {
+              itemDom.insertAfter(targetDom);
+            }
+            break;
+          }
+        }
+      })
+      .on("pointerup pointercancel", (e) => {
+        if (!startPoint) return;
+
+        itemDom[0].releasePointerCapture(e.pointerId);
+        itemDom.removeClass("dragging");
+        startPoint = undefined;
+
+        if (isDragging) this.#updateDataBySelectedItems();
+      })
+      .on("keydown", (e) => {
+        if (this.isDisabled()) return;
+        if (!e.altKey || ![37, 38, 39, 40].includes(e.keyCode)) return;
+
+        if ([37, 38].includes(e.keyCode)) {
+          const prevItemDom = itemDom.prev("li:not(.edit)");
+          if (!prevItemDom.length) return false;
+          itemDom.insertBefore(prevItemDom);
+        } else {
+          const nextItemDom = itemDom.next("li:not(.edit)");
+          if (!nextItemDom.length) return false;
+          itemDom.insertAfter(nextItemDom);
+        }
+
+        itemDom.focus();
+        this.#updateDataBySelectedItems();
+        return false;
+      });
+  }
+
+  /**
+   * Rewrites the selected data by the current order of the selected items
+   *
+   * @private
+   */
+  #updateDataBySelectedItems() {
+    const data = this.#rootDom
+      .find(".selected-items > li:not(.edit)")
+      .toArray()
+      .map((itemDom) =>
+        this.#data.find((value) => value == jQuery(itemDom).attr("data-id")),
+      );
+
+    if (data.every((value, index) => value === this.#data[index])) return;
+
+    if (!this.isIgnored()) {
+      jQuery(window.document).trigger("yd-form-change");
+    }
+
+    this.#data = data;
+    this.#updateDataInput();
+  }
+
   /**
    * Gets a single item based on the current value
    *
@@ -439,16 +711,9 @@ class YD_Input_Selection {
       return;
     }
 
-    const spinner = this.#rootDom.find(".selection > .spinner");
-    spinner.addClass("is-active");
-
-    window.yd_core.action.runAjax(
-      (response) => {
-        spinner.remove();
-        onReadyValue(response[0]);
-      },
-      this.#ajaxActionName,
-      jQuery.extend({}, this.#properties, { value: this.#value }),
+    this.#getCachedItems(
+      (items) => onReadyValue(items[0]),
+      [].concat(this.#value).slice(0, 1),
     );
   }
 
@@ -461,89 +726,293 @@ class YD_Input_Selection {
   #getItemsByValue(onReadyValue) {
     if (!this.#data.length) return;
 
+    this.#getCachedItems(onReadyValue, this.#value);
+  }
+
+  /**
+   * Gets the items of the given ids, requesting only the ids missing in the shared cache
+   *
+   * @private
+   * @param {Function} onReadyValue - Callback with the found items in the order of the ids
+   * @param {Array} ids - Ids of the items
+   */
+  #getCachedItems(onReadyValue, ids) {
+    if (this.#preloadedItems) {
+      const preloadedItems = this.#preloadedItems;
+      this.#preloadedItems = undefined;
+
+      this.#rootDom.find(".selection > .spinner").addClass("is-active");
+
+      preloadedItems.then((items) => {
+        this.#cacheItems(items);
+        this.#getCachedItems(onReadyValue, ids);
+      });
+      return;
+    }
+
+    const getItems = () =>
+      ids
+        .map((id) => YD_Input_Selection.#getCache(this.#getCacheKey("id", id)))
+        .filter((item) => item !== undefined);
+
+    const missingIds = ids.filter(
+      (id) =>
+        YD_Input_Selection.#getCache(this.#getCacheKey("id", id)) === undefined,
+    );
+
+    if (!missingIds.length) {
+      this.#rootDom.find(".selection > .spinner").removeClass("is-active");
+      onReadyValue(getItems());
+      return;
+    }
+
     const spinner = this.#rootDom.find(".selection > .spinner");
     spinner.addClass("is-active");
 
-    window.yd_core.action.runAjax(
-      (response) => {
-        spinner.remove();
-        onReadyValue(response);
-      },
+    window.yd_core.action
+      .runAjax(
+        (response) => {
+          spinner.removeClass("is-active");
+          this.#cacheItems(response);
+          onReadyValue(getItems());
+        },
+        this.#ajaxActionName,
+        jQuery.extend({}, this.#properties, {
+          value: missingIds,
+        }),
+      )
+      .catch((error) => {
+        spinner.removeClass("is-active");
+        window.yd_core.ui.showError(error);
+        onReadyValue(getItems());
+      });
+  }
+
+  /**
+   * Stores the given items in the shared cache by their ids
+   *
+   * @private
+   * @param {Array<Object>} [items] - Items to store
+   */
+  #cacheItems(items) {
+    (items ?? []).forEach((item) => {
+      YD_Input_Selection.#setCache(this.#getCacheKey("id", item.id), item);
+    });
+  }
+
+  /**
+   * Builds a cache key scoped by the ajax action name and properties
+   *
+   * @private
+   * @param {...*} parts - Parts identifying the cached value
+   * @returns {string}
+   */
+  #getCacheKey(...parts) {
+    return JSON.stringify([
       this.#ajaxActionName,
-      jQuery.extend({}, this.#properties, { value: this.#value }),
+      this.#properties,
+      ...parts.map((part) => String(part)),
+    ]);
+  }
+
+  /**
+   * Returns a cached value and marks it as most recently used
+   *
+   * @private
+   * @param {string} key - Cache key
+   * @returns {*} Cached value or undefined when missing
+   */
+  static #getCache(key) {
+    if (!YD_Input_Selection.#cache.has(key)) return undefined;
+
+    const value = YD_Input_Selection.#cache.get(key);
+    YD_Input_Selection.#cache.delete(key);
+    YD_Input_Selection.#cache.set(key, value);
+    return value;
+  }
+
+  /**
+   * Stores a value in the cache, evicting the least recently used entries over the limit
+   *
+   * @private
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   */
+  static #setCache(key, value) {
+    YD_Input_Selection.#cache.delete(key);
+    YD_Input_Selection.#cache.set(key, value);
+
+    while (YD_Input_Selection.#cache.size > YD_Input_Selection.#cacheLimit) {
+      YD_Input_Selection.#cache.delete(
+        YD_Input_Selection.#cache.keys().next().value,
+      );
+    }
+  }
+
+  /**
+   * Lists the next page of the current keyword search, appending it to the list
+   *
+   * @private
+   */
+  #listNextPage() {
+    const search = this.#search;
+    if (!search?.hasMore || search.isLoading) return;
+
+    const allItemsSpinner = this.#allItemsDom.find(".spinner");
+
+    search.isLoading = true;
+    search.page++;
+    this.#allItemsDom.addClass("paging");
+    allItemsSpinner.addClass("is-active");
+
+    this.#listItemsByKeyword(
+      (items, hasMore) => {
+        if (search !== this.#search) return;
+
+        search.isLoading = false;
+        search.hasMore = hasMore;
+
+        this.#allItemsDom.removeClass("paging");
+        allItemsSpinner.removeClass("is-active");
+
+        // Items already listed by a previous page are skipped, and a page without new items ends the paging
+        const listedIds = this.#allItemsListDom
+          .children()
+          .map((_, listedDom) => listedDom.dataset.id)
+          .get();
+        const newItems = items.filter(
+          (itemDom) => !listedIds.includes(itemDom.attr("data-id")),
+        );
+        if (!newItems.length) search.hasMore = false;
+
+        this.#allItemsListDom.append(newItems);
+      },
+      search.keyword,
+      search.page,
     );
   }
 
   /**
-   * Lists items by keyword entered in input
+   * Lists items by keyword entered in input. A paged action responds with `{items, has_more}`, a list of items is
+   * the only page of the results.
    *
    * @private
-   * @param {Function} onReadyValue - Callback with matched items
+   * @param {Function} onReadyValue - Callback with matched items and whether more pages exist
    * @param {string} keyword - Keyword to search with
+   * @param {number} [page=1] - Page of the results to request
    */
-  #listItemsByKeyword(onReadyValue, keyword) {
-    window.yd_core.action.runAjax(
-      (response) => {
-        const listItems = response.map((item) => {
-          const listItemDom = jQuery(
-            `<li data-id="${item.id}">${item.name}</li>`,
-          );
+  #listItemsByKeyword(onReadyValue, keyword, page = 1) {
+    const perPage = this.#config.per_page ?? 20;
+    const cacheKey = this.#getCacheKey("keyword", keyword, page, perPage);
+
+    /**
+     * Returns the items of a response and whether more pages exist
+     * @param {Array<Object>|{items: Array<Object>, has_more: boolean}} [response] - Response of the action
+     * @returns {{items: Array<Object>, hasMore: boolean}}
+     */
+    const parseResponse = (response) =>
+      response && !Array.isArray(response)
+        ? {
+            items: Array.isArray(response.items) ? response.items : [],
+            hasMore: response.has_more === true,
+          }
+        : { items: response ?? [], hasMore: false };
 
-          listItemDom.on("click", () => {
-            if (this.#config.is_multiple) {
-              const isItemInData = this.#data.includes(item.id);
-
-              if (isItemInData) {
-                this.#rootDom
-                  .find(`.selected-items > li[data-id="${item.id}"] > .remove`)
-                  .click();
-              } else {
-                this.#createItemDom(item).insertBefore(
-                  this.#rootDom.find(".selected-items > .edit"),
-                );
-
-                this.#data.push(item.id);
-                this.#updateDataInput();
-              }
+    const onResponse = (data) => {
+      const { items: response, hasMore } = parseResponse(data);
+
+      const listItems = response.map((item) => {
+        const listItemDom = jQuery(
+          `<li data-id="${item.id}">${item.name}</li>`,
+        );
+
+        listItemDom.on("click", () => {
+          if (this.#config.is_multiple) {
+            const isItemInData = this.#data.includes(item.id);
+
+            if (isItemInData) {
+              this.#rootDom
+                .find(`.selected-items > li[data-id="${item.id}"] > .remove`)
+                .click();
             } else {
-              this.#nameRemoveDom.show();
-              this.#nameValueDom.text(item.name);
-              this.#data = [item.id];
+              this.#createItemDom(item).insertBefore(
+                this.#rootDom.find(".selected-items > .edit"),
+              );
+
+              this.#data.push(item.id);
               this.#updateDataInput();
             }
+          } else {
+            this.#nameRemoveDom.show();
+            this.#nameValueDom.text(item.name);
+            this.#data = [item.id];
+            this.#updateDataInput();
+          }
 
-            this.#allItemsDom.hide();
-            this.#allItemsListDom.empty();
-            this.#inputEdit.val("");
+          this.#allItemsDom.hide();
+          this.#allItemsListDom.empty();
+          this.#search = undefined;
+          this.#inputEdit.val("");
 
-            this.#updateDomHeight();
-          });
+          this.updateHeight(this.#selectionDom);
+        });
 
-          listItemDom.on("mouseenter", () => {
-            this.#allItemsListDom.find("li").removeAttr("data-hover");
-            listItemDom.attr("data-hover", "");
-          });
+        listItemDom.on("mouseenter", () => {
+          this.#allItemsListDom.find("li").removeAttr("data-hover");
+          listItemDom.attr("data-hover", "");
+        });
 
-          if (this.#config.is_multiple) {
-            if (response[0].id === item.id) {
-              listItemDom.attr("data-hover", "");
-            }
-          } else if (this.#data[0] === item.id) {
-            listItemDom.attr({ "data-selected": "", "data-hover": "" });
-          } else if (
-            !response.map((e) => e.id).includes(this.#data[0]) &&
-            response[0].id === item.id
-          ) {
+        if (this.#config.is_multiple) {
+          if (page === 1 && response[0].id === item.id) {
             listItemDom.attr("data-hover", "");
           }
+        } else if (this.#data[0] === item.id) {
+          listItemDom.attr(
+            page === 1
+              ? { "data-selected": "", "data-hover": "" }
+              : { "data-selected": "" },
+          );
+        } else if (
+          page === 1 &&
+          !response.map((e) => e.id).includes(this.#data[0]) &&
+          response[0].id === item.id
+        ) {
+          listItemDom.attr("data-hover", "");
+        }
 
-          return listItemDom;
-        });
-        onReadyValue(listItems);
-      },
-      this.#ajaxActionName,
-      jQuery.extend({}, this.#properties, { keyword: keyword }),
-    );
+        return listItemDom;
+      });
+      onReadyValue(listItems, hasMore);
+    };
+
+    const cachedResponse = YD_Input_Selection.#getCache(cacheKey);
+    if (cachedResponse !== undefined) {
+      window.yd_core.action.abortAjax(this.#searchAbortKey);
+      onResponse(cachedResponse);
+      return;
+    }
+
+    window.yd_core.action
+      .runAjax(
+        (response) => {
+          YD_Input_Selection.#setCache(cacheKey, response ?? []);
+          this.#cacheItems(parseResponse(response).items);
+          onResponse(response);
+        },
+        this.#ajaxActionName,
+        jQuery.extend({}, this.#properties, {
+          keyword: keyword,
+          page: page,
+          per_page: perPage,
+        }),
+        { abortKey: this.#searchAbortKey },
+      )
+      .catch((error) => {
+        if (error.aborted) return;
+
+        window.yd_core.ui.showError(error);
+        onReadyValue([], false);
+      });
   }
 
   /**
@@ -556,17 +1025,19 @@ class YD_Input_Selection {
 
     this.#data.forEach((value, index) => {
       this.#selectionDom.append(`
-                <input type="hidden" name="${this.#config.data_name}[${index}]" value="${value}"/>
+                <input type="hidden" name="${this.#config.data_name}[${index}]" value="${value}" ${this.isDisabled() ? "disabled" : ""}/>
             `);
     });
 
-    if (!this.#data.length && this.#config.is_required) {
-      this.#selectionDom.append(
-        '<input type="text" required="" onkeypress="return false;" tabindex="-1" />',
-      );
-    }
+    this.updateRequiredInput(this.#selectionDom, !this.#data.length);
 
     this.#checkInputPlaceHolder();
+
+    const newValue = this.getValue();
+    const oldValue = this.#lastValue;
+    this.#lastValue = newValue;
+
+    if (oldValue !== undefined) this.triggerChange(oldValue, newValue);
   }
 
   /**
@@ -587,16 +1058,6 @@ class YD_Input_Selection {
       this.#nameRemoveDom.hide();
     }
   }
-
-  /**
-   * Updates the height of the root DOM based on its content
-   *
-   * @private
-   */
-  #updateDomHeight() {
-    this.#rootDom.height(
-      this.#selectionDom.outerHeight() +
-        (this.#descriptionDom.outerHeight() ?? 0),
-    );
-  }
 }
+
+window.yd_core.ui.registerType("selection", YD_Input_Selection);
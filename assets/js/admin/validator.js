@@ -0,0 +1,329 @@
+/**
+ * YD_Validator class
+ * Client-side validation of the YD admin UI inputs against the rules the page sanitizes its data with. The rules are
+ * exported by `Page::load_rules()` to `window.yd_core.rules` and checked the same way as `Data_Manager` does:
+ * `sanitize_length` and `pattern_match` of strings, `min`/`max` of numbers, `values` of enums and `item_rules` of arrays.
+ * Inputs are validated on blur and before submit, violations are shown under the description of the input and the
+ * submit is blocked with the first invalid input focused, instead of the value being replaced by its default.
+ *
+ * Author: Yigit Demir
+ * Since: 1.0.0
+ * Version: 1.0.0
+ */
+
+"use strict";
+
+class YD_Validator {
+  /**
+   * Validates an input, showing or removing its error message
+   *
+   * @param {jQuery} rootDom - Root DOM element of the input (the `.yd-admin-ui-input` element)
+   * @returns {boolean} Whether the input is valid
+   */
+  static validateInput(rootDom) {
+    const error = YD_Validator.#isSkipped(rootDom)
+      ? undefined
+      : YD_Validator.#getError(rootDom);
+
+    YD_Validator.showError(rootDom, error);
+    return error === undefined;
+  }
+
+  /**
+   * Validates all inputs of a form, focusing the first invalid one
+   *
+   * @param {jQuery} formDom - Form element
+   * @returns {boolean} Whether all inputs are valid
+   */
+  static validateForm(formDom) {
+    const invalidDoms = formDom
+      .find(".yd-admin-ui-input")
+      .filter((_, rootDom) => jQuery(rootDom).closest(".yd-core").length > 0)
+      .toArray()
+      .filter((rootDom) => !YD_Validator.validateInput(jQuery(rootDom)));
+
+    if (!invalidDoms.length) return true;
+
+    const rootDom = jQuery(invalidDoms[0]);
+    rootDom[0].scrollIntoView?.({ block: "center" });
+    YD_Validator.#getFocusDom(rootDom)[0]?.focus();
+
+    return false;
+  }
+
+  /**
+   * Shows the error message of an input under its description, or removes it for undefined.
+   * Also used for the errors returned by the server, e.g. by the autosave of the page.
+   *
+   * @param {jQuery} rootDom - Root DOM element of the input
+   * @param {string|undefined} error - Error message
+   */
+  static showError(rootDom, error) {
+    var errorDom = rootDom.children(".yd-input-error");
+
+    rootDom.toggleClass("invalid", error !== undefined);
+    rootDom
+      .find('input:not([type="hidden"]), textarea, [tabindex="0"]')
+      .not(".help-tip")
+      .filter(
+        (_, dom) => jQuery(dom).closest(".yd-admin-ui-input")[0] === rootDom[0],
+      )
+      .attr("aria-invalid", error === undefined ? null : "true");
+
+    if (error === undefined) {
+      errorDom.remove();
+      rootDom.css("margin-bottom", "");
+      return;
+    }
+
+    if (!errorDom.length) {
+      errorDom = jQuery('<p class="yd-input-error" role="alert"></p>');
+
+      const descriptionDom = rootDom.children(".description");
+      if (descriptionDom.length) {
+        errorDom.insertAfter(descriptionDom);
+      } else {
+        rootDom.append(errorDom);
+      }
+    }
+
+    errorDom.text(error);
+
+    // The error of an absolutely positioned control is placed below the input, so make room for it
+    if (errorDom.css("position") === "absolute") {
+      rootDom.css("margin-bottom", errorDom.outerHeight());
+    }
+  }
+
+  /**
+   * Returns whether an input is left out of the validation, as it is not submitted
+   *
+   * @param {jQuery} rootDom - Root DOM element of the input
+   * @returns {boolean}
+   */
+  static #isSkipped(rootDom) {
+    if (rootDom.hasClass("hidden-by-condition")) return true;
+
+    const input = window.yd_core.ui.findByDom(rootDom);
+    if (input) return input.isDisabled();
+
+    return !rootDom.find("[name]:not(:disabled)").length;
+  }
+
+  /**
+   * Returns the error message of an input, or undefined when it is valid
+   *
+   * @param {jQuery} rootDom - Root DOM element of the input
+   * @returns {string|undefined}
+   */
+  static #getError(rootDom) {
+    const input = window.yd_core.ui.findByDom(rootDom);
+    const controlDom = rootDom.find("[name]:not(:disabled)").first();
+
+    const dataName = input?.getConfig("data_name") ?? controlDom.attr("name");
+    const value = input ? input.getValue() : controlDom.val();
+
+    const inputError = input?.getError();
+    if (inputError !== undefined) return inputError;
+
+    if (YD_Validator.#isEmpty(value)) {
+      const isRequired =
+        input?.getConfig("is_required") ||
+        rootDom.find("[required]:not(:disabled)").length > 0;
+
+      return isRequired
+        ? window.yd_core.ui.getText("This field is required.")
+        : undefined;
+    }
+
+    if (dataName === undefined) return;
+
+    return YD_Validator.#getValueError(value, YD_Validator.#getRule(dataName));
+  }
+
+  /**
+   * Returns the rule of a data name, following the nested `rules` of objects and `item_rules` of arrays,
+   * e.g. the rule of `items[0][title]` is the `title` rule of the `item_rules` of the `items` rule
+   *
+   * @param {string} dataName - Data name of the input
+   * @returns {Object|undefined}
+   */
+  static #getRule(dataName) {
+    var rule = { type: "object", rules: window.yd_core.rules };
+
+    for (const key of dataName.match(/[^[\]]+/g) ?? []) {
+      if (rule.type === "array") {
+        // The key is the index of an item, which is an object of the nested rules without item rules
+        rule = rule.item_rules ?? { type: "object", rules: rule.rules };
+      } else {
+        rule = rule.rules?.[key] ?? rule.rules?.["*"];
+      }
+
+      if (rule === undefined) return;
+    }
+
+    return rule;
+  }
+
+  /**
+   * Returns the error message of a non-empty value violating a rule, or undefined when it is valid
+   *
+   * @param {*} value - Value of the input
+   * @param {Object|undefined} rule - Rule of the input
+   * @returns {string|undefined}
+   */
+  static #getValueError(value, rule) {
+    const getText = window.yd_core.ui.getText;
+
+    switch (rule?.type ?? "string") {
+      case "string": {
+        if (typeof value !== "string") return;
+
+        value = value.trim();
+
+        // Data_Manager truncates the bytes of the value
+        const length = new TextEncoder().encode(value).length;
+        if (rule?.sanitize_length && length > rule.sanitize_length) {
+          return getText("Please enter at most %s characters.").replace(
+            "%s",
+            rule.sanitize_length,
+          );
+        }
+
+        const pattern = YD_Validator.#toRegExp(rule?.pattern_match);
+        if (pattern && !pattern.test(value)) {
+          return getText("Please match the requested format.");
+        }
+        return;
+      }
+
+      case "integer":
+      case "double": {
+        const number = Number(value);
+
+        if (!Number.isFinite(number)) {
+          return getText("Please enter a number.");
+        }
+        if (rule.type === "integer" && !Number.isInteger(number)) {
+          return getText("Please enter a whole number.");
+        }
+        if (rule.min !== undefined && number < rule.min) {
+          return getText(
+            "Please enter a value greater than or equal to %s.",
+          ).replace("%s", rule.min);
+        }
+        if (rule.max !== undefined && number > rule.max) {
+          return getText(
+            "Please enter a value less than or equal to %s.",
+          ).replace("%s", rule.max);
+        }
+        return;
+      }
+
+      case "enum":
+        if (
+          !(rule.values ?? []).some((item) => String(item) === String(value))
+        ) {
+          return getText("Please select a valid option.");
+        }
+        return;
+
+      case "array":
+        // Items with nested rules are rendered as inputs of their own and validated by them
+        if (
+          !Array.isArray(value) ||
+          !rule.item_rules ||
+          ["array", "object"].includes(rule.item_rules.type)
+        )
+          return;
+
+        for (const item of value) {
+          if (YD_Validator.#isEmpty(item)) continue;
+
+          const error = YD_Validator.#getValueError(
+            typeof item === "number" ? String(item) : item,
+            rule.item_rules,
+          );
+          if (error !== undefined) return error;
+        }
+        return;
+    }
+  }
+
+  /**
+   * Converts a PHP (PCRE) regular expression to a RegExp, returning undefined for patterns JavaScript can not run
+   *
+   * @param {string|undefined} pattern - PHP regular expression with delimiters and modifiers (e.g. `/^\d+$/i`)
+   * @returns {RegExp|undefined}
+   */
+  static #toRegExp(pattern) {
+    if (typeof pattern !== "string" || pattern.length < 2) return;
+
+    const brackets = { "(": ")", "{": "}", "[": "]", "<": ">" };
+    const delimiter = brackets[pattern[0]] ?? pattern[0];
+    const end = pattern.lastIndexOf(delimiter);
+    if (end < 1) return;
+
+    const modifiers = pattern.slice(end + 1);
+    if (/[^imsuD]/.test(modifiers)) return;
+
+    try {
+      return new RegExp(
+        pattern.slice(1, end),
+        modifiers.replace(/[^imsu]/g, ""),
+      );
+    } catch (e) {
+      return;
+    }
+  }
+
+  /**
+   * Returns whether a value is empty: no value, an empty string or array, or the attachment id 0 of a media input,
+   * also as the `id` of a cropped image
+   *
+   * @param {*} value - Value of the input
+   * @returns {boolean}
+   */
+  static #isEmpty(value) {
+    return (
+      value === undefined ||
+      value === null ||
+      value === 0 ||
+      (typeof value === "string" && !value.trim().length) ||
+      (Array.isArray(value) && !value.length) ||
+      (value?.constructor === Object && "id" in value && !value.id)
+    );
+  }
+
+  /**
+   * Returns the element focused to correct an invalid input
+   *
+   * @param {jQuery} rootDom - Root DOM element of the input
+   * @returns {jQuery}
+   */
+  static #getFocusDom(rootDom) {
+    return rootDom
+      .find(
+        'input:not([type="hidden"]):not([tabindex="-1"]), textarea, select, [tabindex="0"]',
+      )
+      .not(":disabled, .help-tip")
+      .first();
+  }
+}
+
+jQuery(function ($) {
+  // Validate an input when the focus leaves it
+  $(window.document).on("focusout", ".yd-core .yd-admin-ui-input", (e) => {
+    const rootDom = $(e.currentTarget);
+    if (e.relatedTarget && rootDom[0].contains(e.relatedTarget)) return;
+
+    YD_Validator.validateInput(rootDom);
+  });
+
+  // Update the error of an invalid input while it is corrected
+  $(window.document).on(
+    "input change yd-change",
+    ".yd-core .yd-admin-ui-input.invalid",
+    (e) => YD_Validator.validateInput($(e.currentTarget)),
+  );
+});
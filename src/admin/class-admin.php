@@ -77,7 +77,7 @@ abstract class Admin {
 	}
 
 	/**
-	 * Sends the AJAX actions defined by the `get_ajax_actions` method.
+	 * Sends the AJAX actions defined by the `get_ajax_actions` method and the autosave actions of the pages.
 	 *
 	 * @return void
 	 */
@@ -85,5 +85,9 @@ abstract class Admin {
 		foreach ( $this->get_ajax_actions() as $action ) {
 			( new $action() )->send();
 		}
+
+		foreach ( $this->get_pages() as $page ) {
+			( new $page() )->send_autosave();
+		}
 	}
 }
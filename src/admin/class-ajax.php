@@ -81,8 +81,12 @@ abstract class Ajax {
 			}
 
 			try {
-				$this->get_data();
-				$this->get_action();
+				if ( $this->is_batch_request() ) {
+					$this->send_success( $this->get_batch_action() );
+				} else {
+					$this->get_data();
+					$this->get_action();
+				}
 			} catch ( \Exception $e ) {
 				self::send_error( array( 'message' => $e->getMessage() ) );
 			}
@@ -104,6 +108,60 @@ abstract class Ajax {
 		$this->data = ! empty( $rules ) ? ( new Data_Manager( $rules, $_REQUEST ) )->sanitize() : array();
 	}
 
+	/**
+	 * Checks whether the incoming request is a batched request accepted by the action.
+	 *
+	 * @return bool True if the request is batched and the action accepts batches, false otherwise.
+	 */
+	private function is_batch_request(): bool {
+		// phpcs:ignore WordPress.Security.NonceVerification
+		return $this->is_batchable() && ! empty( $_REQUEST['batch'] ) && is_array( $_REQUEST['batch'] );
+	}
+
+	/**
+	 * Resolves every entry of a batched request.
+	 *
+	 * Each entry is sanitized with the same rules as a single request and resolved by `get_batch_item()`.
+	 *
+	 * @return array The results of the entries, in the same order as the entries.
+	 */
+	private function get_batch_action(): array {
+		$rules = $this->get_rules();
+		// phpcs:ignore WordPress.Security.NonceVerification, WordPress.Security.ValidatedSanitizedInput
+		$batch = array_values( $_REQUEST['batch'] );
+
+		return array_map(
+			function ( $entry ) use ( $rules ) {
+				$this->data = ! empty( $rules ) ? ( new Data_Manager( $rules, (array) $entry ) )->sanitize() : array();
+				return $this->get_batch_item( $this->data );
+			},
+			$batch
+		);
+	}
+
+	/**
+	 * Determines whether the action accepts batched requests.
+	 *
+	 * A batched request sends a `batch` list whose entries carry the same fields as a single request,
+	 * e.g. the initial values of all selection inputs on a page sharing this action. The response is
+	 * the list of the entry results in the same order. This method can be overridden in the child class.
+	 *
+	 * @return bool True if batched requests are accepted, false otherwise.
+	 */
+	protected function is_batchable(): bool {
+		return false; }
+
+	/**
+	 * Resolves a single entry of a batched request.
+	 *
+	 * This method should be overridden in the child class when `is_batchable()` returns true.
+	 *
+	 * @param array $data The sanitized data of the entry.
+	 * @return mixed The result of the entry.
+	 */
+	protected function get_batch_item( array $data ) { // phpcs:ignore Generic.CodeAnalysis.UnusedFunctionParameter
+		return null; }
+
 	/**
 	 * Get the validation rules for the incoming data.
 	 *
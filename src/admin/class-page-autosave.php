@@ -0,0 +1,207 @@
+<?php
+/**
+ * AJAX Autosave of Admin Page Fields
+ *
+ * This file defines the `Page_Autosave` class, which saves the changed fields of an admin page in the background,
+ * without submitting and reloading the whole page.
+ *
+ * @package YD\Core
+ * @subpackage Admin\Ajax
+ * @author Yigit Demir
+ * @since 1.0.0
+ * @version 1.0.0
+ */
+
+namespace YD\Admin;
+
+use YD\Data_Manager;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Page_Autosave class handles the autosave requests of a page. The posted fields, listed by their keys in
+ * `autosave_keys`, are sanitized with all rules of the page through `Data_Manager`, together with the stored values
+ * of the fields that are not posted, so rules depending on other fields (e.g. `hide_by_condition`) find them. The
+ * save callback gets the posted fields and all values, and returns the error messages of the fields that could not
+ * be saved. Every request is verified by the autosave nonce of the page and the capability of the page.
+ */
+final class Page_Autosave extends Ajax {
+	/**
+	 * The action name of the autosave request.
+	 *
+	 * @var string
+	 */
+	private $action_name;
+
+	/**
+	 * The nonce action verified before saving.
+	 *
+	 * @var string
+	 */
+	private $wp_nonce;
+
+	/**
+	 * The capability required for saving.
+	 *
+	 * @var string
+	 */
+	private $capability;
+
+	/**
+	 * Returns the rules of the page.
+	 *
+	 * @var callable
+	 */
+	private $rules_callback;
+
+	/**
+	 * Returns the stored values of the fields of the page.
+	 *
+	 * @var callable
+	 */
+	private $values_callback;
+
+	/**
+	 * Saves the sanitized fields and returns the error messages keyed by field.
+	 *
+	 * @var callable
+	 */
+	private $save_callback;
+
+	/**
+	 * Initializes the autosave request handler of a page.
+	 *
+	 * @param string   $action_name The action name of the autosave request (without 'yd-' prefix).
+	 * @param string   $wp_nonce The nonce action verified before saving.
+	 * @param string   $capability The capability required for saving.
+	 * @param callable $rules_callback Returns the rules of the page.
+	 * @param callable $values_callback Returns the stored values of the fields of the page.
+	 * @param callable $save_callback Saves the posted fields, given with all values, and returns the error messages
+	 *                                keyed by field.
+	 */
+	public function __construct( string $action_name, string $wp_nonce, string $capability, callable $rules_callback, callable $values_callback, callable $save_callback ) {
+		parent::__construct();
+
+		$this->action_name     = $action_name;
+		$this->wp_nonce        = $wp_nonce;
+		$this->capability      = $capability;
+		$this->rules_callback  = $rules_callback;
+		$this->values_callback = $values_callback;
+		$this->save_callback   = $save_callback;
+	}
+
+	/**
+	 * Get the action name for the AJAX request.
+	 *
+	 * @return string The action name for the AJAX request.
+	 */
+	protected function get_action_name(): string {
+		return $this->action_name;
+	}
+
+	/**
+	 * Retrieves the autosave nonce action of the page.
+	 *
+	 * @return string The nonce string.
+	 */
+	protected function get_wp_nonce(): string {
+		return $this->wp_nonce;
+	}
+
+	/**
+	 * Get the keys of the posted fields.
+	 *
+	 * @return array The keys of the posted fields.
+	 */
+	private function get_keys(): array {
+		// phpcs:ignore WordPress.Security.NonceVerification, WordPress.Security.ValidatedSanitizedInput
+		return array_map( 'sanitize_text_field', array_values( (array) ( $_REQUEST['autosave_keys'] ?? array() ) ) );
+	}
+
+	/**
+	 * Checks whether a posted value is empty, the same way as `Data_Manager` does.
+	 *
+	 * @param mixed $value The posted value.
+	 * @return bool True if the value is empty, false otherwise.
+	 */
+	private static function is_empty( $value ): bool {
+		return ! is_bool( $value ) && ! is_numeric( $value ) && empty( $value );
+	}
+
+	/**
+	 * Saves the posted fields and sends the keys of the saved fields and the error messages of the others,
+	 * including the fields without a rule and the values rejected by `Data_Manager`. Fields cleared by the user are
+	 * saved with an empty value, unless they are required.
+	 *
+	 * @return void
+	 * @throws \Exception If the user is not allowed to save the page or the values can not be sanitized.
+	 */
+	protected function get_action() {
+		if ( ! current_user_can( $this->capability ) ) {
+			throw new \Exception( esc_html__( 'Sorry, you are not allowed to access this page.', 'yd-core' ) );
+		}
+
+		$rules  = (array) call_user_func( $this->rules_callback );
+		$stored = (array) call_user_func( $this->values_callback );
+		$errors = array();
+		$keys   = array();
+
+		foreach ( $this->get_keys() as $key ) {
+			if ( array_key_exists( $key, $rules ) || array_key_exists( '*', $rules ) ) {
+				$keys[] = $key;
+			} else {
+				$errors[ $key ] = __( 'This field can not be saved.', 'yd-core' );
+			}
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification
+		$posted  = array_intersect_key( $_REQUEST, array_flip( $keys ) );
+		$cleared = array();
+
+		foreach ( $keys as $key ) {
+			if ( ! array_key_exists( $key, $posted ) || self::is_empty( $posted[ $key ] ) ) {
+				$cleared[] = $key;
+				unset( $posted[ $key ] );
+			}
+		}
+
+		$sanitized = ( new Data_Manager( $rules, $posted + $stored ) )->sanitize();
+		$data      = array();
+
+		foreach ( $keys as $key ) {
+			$rule = $rules[ $key ] ?? $rules['*'];
+
+			if ( in_array( $key, $cleared, true ) ) {
+				if ( ! empty( $rule['required'] ) ) {
+					$errors[ $key ] = __( 'This field is required.', 'yd-core' );
+				} else {
+					$data[ $key ] = empty( $rule['enable_empty_value'] ) ? null : '';
+				}
+			} elseif ( isset( $sanitized[ $key ] ) ) {
+				$data[ $key ] = $sanitized[ $key ];
+			} elseif ( ! empty( $rule['hide_by_condition'] ) ) {
+				// The field is hidden by its condition, so it is not kept, the same as on submit
+				$data[ $key ] = null;
+			} else {
+				$errors[ $key ] = __( 'This value is not valid.', 'yd-core' );
+			}
+		}
+
+		ob_start();
+		$errors += (array) call_user_func( $this->save_callback, $data, array_replace( $stored, $data ) );
+
+		// Output of the save callback would break the response, so the fields are reported as not saved
+		if ( '' !== ob_get_clean() ) {
+			$errors = array_replace( $errors, array_fill_keys( array_keys( $data ), __( 'This field can not be saved.', 'yd-core' ) ) );
+		}
+
+		$this->send_success(
+			array(
+				'saved'  => array_values( array_diff( array_keys( $data ), array_keys( $errors ) ) ),
+				'errors' => (object) $errors,
+			)
+		);
+	}
+}
+
+?>
@@ -59,6 +59,8 @@ abstract class Page {
 			}
 
 			$this->load_assets();
+			self::load_rules( $this->get_rules() );
+			$this->load_autosave();
 
 			$actions = $this->get_actions();
 			// phpcs:ignore WordPress.Security.NonceVerification
@@ -140,6 +142,39 @@ abstract class Page {
 	 */
 	protected function do_action_post() {}
 
+	/**
+	 * Determines if the changed fields of the page are saved in the background, without submitting the whole form.
+	 * Pages enabling it save the fields with `do_action_autosave()`.
+	 *
+	 * @return bool True if the autosave mode is enabled, false otherwise.
+	 */
+	protected function is_autosave(): bool {
+		return false; }
+
+	/**
+	 * Retrieves the stored values of the fields of the page, used by the autosave for the fields that are not
+	 * changed, see `is_autosave()`.
+	 *
+	 * @return array The stored values keyed by field.
+	 */
+	protected function get_autosave_values(): array {
+		return array(); }
+
+	/**
+	 * Saves the changed fields of the autosave, see `is_autosave()`. Pages enabling the autosave implement it, as
+	 * the request is an AJAX one and the submit handling of `do_action_post()` may redirect or print output.
+	 *
+	 * The fields are sanitized by the rules of the page, and the cleared ones are passed with a null value.
+	 * By default none of them is saved.
+	 *
+	 * @param array $data The sanitized changed fields.
+	 * @param array $values The stored values of all fields with the changed fields merged in.
+	 * @return array The error messages of the fields that could not be saved, keyed by field.
+	 */
+	protected function do_action_autosave( array $data, array $values ): array { // phpcs:ignore Generic.CodeAnalysis.UnusedFunctionParameter
+		return array_fill_keys( array_keys( $data ), __( 'This field can not be saved.', 'yd-core' ) );
+	}
+
 	/**
 	 * Retrieves the rules for the page.
 	 *
@@ -232,16 +267,27 @@ abstract class Page {
 		wp_enqueue_media();
 
 		self::enqueue_style( 'wp-color-picker', true );
+		self::enqueue_style( 'imgareaselect', true );
 		self::enqueue_style( 'main.css', false, YD_CORE );
 		self::enqueue_style( 'ui-input.css', false, YD_CORE );
 
 		self::enqueue_script( 'wp-color-picker', true );
+		self::enqueue_script( 'imgareaselect', true );
 		self::enqueue_script( 'lib/wp-color-picker-alpha.js', false, YD_CORE );
 		self::enqueue_script( 'init.js', false, YD_CORE );
-		self::enqueue_script( 'ui-input/selection.js', false, YD_CORE );
-		self::enqueue_script( 'ui-input/selection-media.js', false, YD_CORE );
-		self::enqueue_script( 'ui-input/dropdown.js', false, YD_CORE );
-		self::enqueue_script( 'ui-input/color-picker.js', false, YD_CORE );
+		self::enqueue_script( 'validator.js', false, YD_CORE );
+		self::enqueue_script( 'ui-input/base.js', false, YD_CORE );
+
+		foreach ( get_declared_classes() as $class_name ) {
+			if ( ! is_subclass_of( $class_name, Page\View\Input::class ) ) {
+				continue;
+			}
+
+			$script = $class_name::get_script();
+			if ( ! empty( $script ) ) {
+				self::enqueue_script( ...$script );
+			}
+		}
 
 		global $_wp_admin_css_colors;
 
@@ -256,15 +302,131 @@ abstract class Page {
 		<script>
 			window.yd_core = {
 				language: { accepted: <?php echo wp_json_encode( \YD\Utils\Main::get_accepted_languages() ); ?>, text: <?php echo wp_json_encode( self::get_language_texts() ); ?> },
-				page: { block: {} },
+				page: { block: {}, draft_key: <?php echo wp_json_encode( self::get_draft_key() ); ?>, values_time: <?php echo wp_json_encode( self::get_values_time() ); ?> },
 				url: { page: {} },
 				wp_nonce: {},
+				rules: {},
 				is_support: {wc: <?php echo ( Utils\WC::is_support() ? 'true' : 'false' ); ?> }
 			};
 		</script>
 		<?php
 	}
 
+	/**
+	 * Registers the AJAX action saving the changed fields of the page when the autosave mode is enabled.
+	 *
+	 * @return void
+	 */
+	public function send_autosave() {
+		if ( ! $this->is_autosave() ) {
+			return;
+		}
+
+		( new Page_Autosave(
+			$this->get_autosave_action_name(),
+			$this->get_autosave_nonce(),
+			$this->get_capability(),
+			function () {
+				return $this->get_rules();
+			},
+			function () {
+				return $this->get_autosave_values();
+			},
+			function ( array $data, array $values ) {
+				if ( ! $this->is_enabled() ) {
+					throw new \Exception( esc_html__( 'Sorry, you are not allowed to access this page.', 'yd-core' ) );
+				}
+
+				return $this->do_action_autosave( $data, $values );
+			}
+		) )->send();
+	}
+
+	/**
+	 * Retrieves the action name of the autosave request of the page.
+	 *
+	 * @return string The action name (without 'yd-' prefix).
+	 */
+	private function get_autosave_action_name(): string {
+		return 'autosave-' . $this->get_slug();
+	}
+
+	/**
+	 * Retrieves the nonce action of the autosave request of the page, verified on every request.
+	 *
+	 * @return string The nonce action.
+	 */
+	private function get_autosave_nonce(): string {
+		return 'yd_core_autosave_' . $this->get_slug();
+	}
+
+	/**
+	 * Exports the autosave action and its nonce to the browser when the autosave mode is enabled.
+	 *
+	 * @return void
+	 */
+	private function load_autosave() {
+		if ( ! $this->is_autosave() ) {
+			return;
+		}
+
+		$action_name = $this->get_autosave_action_name();
+		?>
+		<script>
+			window.yd_core.page.autosave = <?php echo wp_json_encode( $action_name ); ?>;
+			window.yd_core.wp_nonce[ <?php echo wp_json_encode( $action_name ); ?> ] = <?php echo wp_json_encode( wp_create_nonce( $this->get_autosave_nonce() ) ); ?>;
+		</script>
+		<?php
+	}
+
+	/**
+	 * Exports the rules of a page to the browser, so the client-side validator checks the inputs against the
+	 * same rules as `Data_Manager`. Should be called after `load_assets()`.
+	 *
+	 * @param array $rules The rules for sanitization.
+	 * @return void
+	 */
+	public static function load_rules( array $rules ) {
+		if ( empty( $rules ) ) {
+			return;
+		}
+		?>
+		<script>
+			Object.assign( window.yd_core.rules, <?php echo wp_json_encode( Data_Manager::get_client_rules( $rules ) ); ?> );
+		</script>
+		<?php
+	}
+
+	/**
+	 * Retrieves the time the values rendered on the current screen were saved, so older local drafts are not
+	 * offered to be restored. It is only known for the post being edited.
+	 *
+	 * @return int The time in milliseconds, 0 if unknown.
+	 */
+	private static function get_values_time(): int {
+		$post_id = 'auto-draft' === get_post_status() ? 0 : (int) get_the_ID();
+
+		return $post_id ? (int) get_post_modified_time( 'U', true, $post_id ) * 1000 : 0;
+	}
+
+	/**
+	 * Retrieves the key of the local draft of the unsaved changes on the current screen, which is unique to the
+	 * page (or post type), the post being edited and the user.
+	 *
+	 * @return string The draft key.
+	 */
+	private static function get_draft_key(): string {
+		$post_id = 'auto-draft' === get_post_status() ? 0 : (int) get_the_ID();
+
+		return sprintf(
+			'yd-core-draft:%s:%s:%d:%d',
+			$GLOBALS['YD_CURRENT_PLUGIN'],
+			self::get_current_slug() ?? (string) get_post_type(),
+			$post_id,
+			get_current_user_id()
+		);
+	}
+
 	/**
 	 * Retrieves language texts for the page.
 	 *
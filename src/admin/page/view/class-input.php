@@ -75,6 +75,20 @@ abstract class Input {
 	 */
 	private $is_ignored = false;
 
+	/**
+	 * The conditions that must all match for the input to be shown.
+	 *
+	 * @var array
+	 */
+	private $show_when = array();
+
+	/**
+	 * The conditions that hide the input when they all match.
+	 *
+	 * @var array
+	 */
+	private $hide_when = array();
+
 	/**
 	 * Abstract method to get the name of the input element.
 	 *
@@ -82,6 +96,19 @@ abstract class Input {
 	 */
 	abstract protected function get_name(): string;
 
+	/**
+	 * Gets the script that handles the input type in the browser, enqueued by `Page::load_assets()`.
+	 *
+	 * The script registers the class of the input type with `window.yd_core.ui.registerType()`,
+	 * using the name returned by `get_name()`.
+	 *
+	 * @return array The arguments of `Page::enqueue_script()` (e.g. `array( 'ui-input/foo.js', false, 'yd-foo' )`),
+	 *               or an empty array if the input type has no script.
+	 */
+	public static function get_script(): array {
+		return array();
+	}
+
 	/**
 	 * Gets the data attributes for the input element.
 	 *
@@ -136,6 +163,32 @@ abstract class Input {
 		return $this->is_ignored;
 	}
 
+	/**
+	 * Sets the conditions that must all match for the input element to be shown.
+	 *
+	 * The conditions are values keyed by the data names of other inputs (or by field names within a repeater row).
+	 * The input is hidden, and disabled so it is not submitted, while any of them does not match.
+	 *
+	 * @param array $conditions The values keyed by data name.
+	 * @return void
+	 */
+	public function set_show_when( array $conditions ) {
+		$this->show_when = $conditions;
+	}
+
+	/**
+	 * Sets the conditions that hide the input element when they all match.
+	 *
+	 * The conditions have the same format as the `hide_by_condition` rule of `Data_Manager`,
+	 * so the rule of the input can be passed to keep the form in line with the sanitized data.
+	 *
+	 * @param array $conditions The values keyed by data name.
+	 * @return void
+	 */
+	public function set_hide_when( array $conditions ) {
+		$this->hide_when = $conditions;
+	}
+
 	/**
 	 * Sets the ID of the input element.
 	 *
@@ -303,7 +356,17 @@ abstract class Input {
 		echo '"';
 		$this->render_attribute( 'id', $this->get_id() );
 
-		foreach ( $this->get_data_attributes() as $key => $value ) {
+		$data_attributes = array_merge(
+			$this->get_data_attributes(),
+			array_filter(
+				array(
+					'show-when' => $this->show_when,
+					'hide-when' => $this->hide_when,
+				)
+			)
+		);
+
+		foreach ( $data_attributes as $key => $value ) {
 			if ( is_array( $value ) ) {
 				$value = wp_json_encode( $value, JSON_HEX_QUOT | JSON_HEX_APOS | JSON_UNESCAPED_UNICODE );
 			}
@@ -51,6 +51,15 @@ final class Color_Picker extends Input {
 		return 'color-picker';
 	}
 
+	/**
+	 * Get the script of the color picker input.
+	 *
+	 * @return array The arguments of `Page::enqueue_script()` for the color picker script.
+	 */
+	public static function get_script(): array {
+		return array( 'ui-input/color-picker.js', false, YD_CORE );
+	}
+
 	/**
 	 * Outputs the HTML markup for the colour‑picker control.
 	 *
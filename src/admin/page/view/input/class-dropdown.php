@@ -20,8 +20,38 @@ defined( 'ABSPATH' ) || exit;
  * Dropdown class represents a dropdown input field with a set of options.
  * It extends the base `Input` class and provides functionality specific to dropdowns,
  * such as handling options and generating the appropriate data attributes.
+ *
+ * An option is either a label, or an array of the label and the optional keys:
+ * - `group`: Label of the group the option is listed under.
+ * - `disabled`: Whether the option is shown but can not be selected.
+ * - `icon`: Dashicons class (e.g. `dashicons-admin-post`) or URL of an image shown before the label.
+ * - `description`: Secondary text shown under the label.
+ * - `color`: CSS color of a swatch shown before the label.
+ *
+ * Example:
+ * ```php
+ * new Dropdown( 'status', array(
+ *     'draft'   => 'Draft',
+ *     'publish' => array( 'label' => 'Published', 'icon' => 'dashicons-yes', 'group' => 'Public' ),
+ *     'private' => array( 'label' => 'Private', 'description' => 'Only visible to editors', 'disabled' => true ),
+ * ) );
+ * ```
+ *
+ * In multiple mode the options are checked in the open list and the selected values are submitted as
+ * `data_name[]`, so the data name is sanitized with an `array` rule whose `item_rules` is the `enum` of the options.
+ *
+ * With an AJAX action name the options are requested when the dropdown is opened first. The request carries the
+ * properties of the dropdown, and the value of the input of the `depends_on` data name as `depends_value`, so
+ * the options can depend on another input (e.g. the states of a country). The action responds with the options
+ * keyed by value, or a list of option arrays with a `value` key. The options given to the constructor are shown
+ * until then, so they should include the selected ones.
  */
 final class Dropdown extends Input {
+	/**
+	 * The keys an option array may have.
+	 */
+	const OPTION_KEYS = array( 'label', 'group', 'disabled', 'icon', 'description', 'color' );
+
 	/**
 	 * List of options for the dropdown.
 	 *
@@ -29,17 +59,112 @@ final class Dropdown extends Input {
 	 */
 	private $options;
 
+	/**
+	 * Whether the dropdown allows multiple values.
+	 *
+	 * @var bool
+	 */
+	private $is_multiple = false;
+
+	/**
+	 * The number of selected values shown as chips in multiple mode, more are summarized by their count.
+	 *
+	 * @var int
+	 */
+	private $max_chips = 3;
+
+	/**
+	 * The name of the AJAX action the options are requested from.
+	 *
+	 * @var string|null
+	 */
+	private $ajax_action_name;
+
+	/**
+	 * The properties sent with the option requests.
+	 *
+	 * @var array
+	 */
+	private $properties = array();
+
+	/**
+	 * The data name of the input whose value the options depend on.
+	 *
+	 * @var string|null
+	 */
+	private $depends_on;
+
 	/**
 	 * Constructor for the Dropdown class.
 	 *
 	 * @param string $data_name The name for the data attribute.
-	 * @param array  $options   The list of options for the dropdown.
+	 * @param array  $options   The options for the dropdown keyed by value, each a label or an array of the label
+	 *                          and the keys described in the class documentation.
 	 */
 	public function __construct( string $data_name, array $options ) {
 		$this->set_data_name( $data_name );
 		$this->options = $options;
 	}
 
+	/**
+	 * Set whether the dropdown allows multiple values.
+	 *
+	 * @param bool $is_multiple Whether the dropdown allows multiple values.
+	 * @return void
+	 */
+	public function set_multiple( bool $is_multiple ) {
+		$this->is_multiple = $is_multiple;
+	}
+
+	/**
+	 * Set the number of selected values shown as chips in multiple mode.
+	 *
+	 * @param int $max_chips The number of chips, more selected values are summarized by their count.
+	 * @return void
+	 */
+	public function set_max_chips( int $max_chips ) {
+		$this->max_chips = $max_chips;
+	}
+
+	/**
+	 * Set the AJAX action name the options are requested from.
+	 *
+	 * @param string $ajax_action_name The AJAX action name (without 'yd-' prefix).
+	 * @return void
+	 */
+	public function set_ajax_action_name( string $ajax_action_name ) {
+		$this->ajax_action_name = $ajax_action_name;
+	}
+
+	/**
+	 * Set the properties sent with the option requests.
+	 *
+	 * @param array $properties The properties to set.
+	 * @return void
+	 */
+	public function set_properties( array $properties ) {
+		$this->properties = $properties;
+	}
+
+	/**
+	 * Set the input whose value the options depend on, sent as `depends_value` with the option requests.
+	 *
+	 * @param string $data_name The data name of the input, or the field name within a repeater row.
+	 * @return void
+	 */
+	public function set_depends_on( string $data_name ) {
+		$this->depends_on = $data_name;
+	}
+
+	/**
+	 * Check if the dropdown allows multiple values.
+	 *
+	 * @return bool True if multiple values are allowed, false otherwise.
+	 */
+	public function is_multiple(): bool {
+		return $this->is_multiple;
+	}
+
 	/**
 	 * Get the name of the input field.
 	 *
@@ -49,29 +174,87 @@ final class Dropdown extends Input {
 		return 'dropdown';
 	}
 
+	/**
+	 * Get the script of the dropdown input.
+	 *
+	 * @return array The arguments of `Page::enqueue_script()` for the dropdown script.
+	 */
+	public static function get_script(): array {
+		return array( 'ui-input/dropdown.js', false, YD_CORE );
+	}
+
 	/**
 	 * Get the data attributes for the dropdown input field.
 	 *
-	 * @return array The array of data attributes, including 'config' and 'value'.
+	 * @return array The array of data attributes, including 'config', 'properties' and 'value'.
 	 */
 	protected function get_data_attributes(): array {
 		return array(
-			'config' => array(
-				'options'   => $this->options,
-				'data_name' => $this->get_data_name(),
+			'config'     => array(
+				'options'          => $this->get_options(),
+				'data_name'        => $this->get_data_name(),
+				'is_multiple'      => $this->is_multiple(),
+				'is_required'      => $this->is_required(),
+				'max_chips'        => $this->max_chips,
+				'ajax_action_name' => $this->ajax_action_name,
+				'depends_on'       => $this->depends_on,
 			),
-			'value'  => $this->get_value(),
+			'properties' => $this->properties,
+			'value'      => $this->get_value(),
+		);
+	}
+
+	/**
+	 * Get the options with the unknown keys of the option arrays removed.
+	 *
+	 * @return array The options keyed by value.
+	 */
+	private function get_options(): array {
+		return array_map(
+			function ( $option ) {
+				if ( ! is_array( $option ) ) {
+					return $option;
+				}
+
+				$option = array_intersect_key( $option, array_flip( self::OPTION_KEYS ) );
+
+				$option['label'] = (string) ( $option['label'] ?? '' );
+				if ( isset( $option['disabled'] ) ) {
+					$option['disabled'] = (bool) $option['disabled'];
+				}
+
+				return $option;
+			},
+			$this->options
 		);
 	}
 
 	/**
 	 * Get the value of the dropdown field.
 	 *
-	 * If a value is set, it will return it. Otherwise, it will return the first option.
+	 * If a value is set, it will return it. Otherwise, it will return the first option that is not disabled.
+	 * In multiple mode the selected values are returned, none if no value is set.
 	 *
-	 * @return string The selected value, or the first option if none is set.
+	 * @return string|array The selected value, or the first enabled option if none is set. The selected values in
+	 *                      multiple mode.
 	 */
-	public function get_value(): string {
-		return parent::get_value() ?? array_key_first( $this->options );
+	public function get_value(): string|array {
+		$value = parent::get_value();
+
+		if ( $this->is_multiple() ) {
+			return array_values( array_map( 'strval', (array) ( $value ?? array() ) ) );
+		}
+
+		if ( null !== $value ) {
+			return $value;
+		}
+
+		foreach ( $this->options as $key => $option ) {
+			if ( ! is_array( $option ) || empty( $option['disabled'] ) ) {
+				return (string) $key;
+			}
+		}
+
+		return (string) array_key_first( $this->options );
 	}
 }
@@ -0,0 +1,208 @@
+<?php
+/**
+ * Repeater Input UI Component for Admin Page
+ *
+ * This file defines the `Repeater` class, which handles the rendering and management of a list of structured rows
+ * within the WordPress admin interface. Every row renders the same set of child inputs (text, dropdown, selection,
+ * media, colour, ...) and rows can be added, removed, duplicated and reordered.
+ *
+ * @package YD\Core
+ * @subpackage Admin\Page\View
+ * @author Yigit Demir
+ * @since 1.0.0
+ * @version 1.0.0
+ */
+
+namespace YD\Admin\Page\View;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Repeater class defines the "Repeater" input field, which produces the arrays of objects sanitized by the
+ * `array` type with `item_rules` of `Data_Manager`. The child inputs are rendered per row with the data name
+ * `data_name[index][field]`, where the field is the data name the child input was created with.
+ */
+final class Repeater extends Input {
+	/**
+	 * Placeholder of the row index in the row template.
+	 */
+	const INDEX_PLACEHOLDER = '__INDEX__';
+
+	/**
+	 * The child inputs rendered in every row, keyed by their field name.
+	 *
+	 * @var Input[]
+	 */
+	private $fields = array();
+
+	/**
+	 * The labels of the child inputs, keyed by their field name.
+	 *
+	 * @var array
+	 */
+	private $labels = array();
+
+	/**
+	 * The minimum number of rows.
+	 *
+	 * @var int
+	 */
+	private $min = 0;
+
+	/**
+	 * The maximum number of rows, 0 for no limit.
+	 *
+	 * @var int
+	 */
+	private $max = 0;
+
+	/**
+	 * Constructor for the Repeater class.
+	 *
+	 * @param string  $data_name The data name for the repeater input.
+	 * @param Input[] $fields The child inputs of a row, their data names are used as the field names.
+	 */
+	public function __construct( string $data_name, array $fields ) {
+		$this->set_data_name( $data_name );
+
+		foreach ( $fields as $field ) {
+			$this->fields[ $field->get_data_name() ] = $field;
+		}
+	}
+
+	/**
+	 * Set the labels of the child inputs.
+	 *
+	 * @param array $labels The labels keyed by field name.
+	 * @return void
+	 */
+	public function set_labels( array $labels ) {
+		$this->labels = $labels;
+	}
+
+	/**
+	 * Set the minimum number of rows.
+	 *
+	 * @param int $min The minimum number of rows.
+	 * @return void
+	 */
+	public function set_min( int $min ) {
+		$this->min = $min;
+	}
+
+	/**
+	 * Set the maximum number of rows.
+	 *
+	 * @param int $max The maximum number of rows, 0 for no limit.
+	 * @return void
+	 */
+	public function set_max( int $max ) {
+		$this->max = $max;
+	}
+
+	/**
+	 * Get the name of the repeater input.
+	 *
+	 * @return string The name of the repeater input.
+	 */
+	protected function get_name(): string {
+		return 'repeater';
+	}
+
+	/**
+	 * Get the script of the repeater input.
+	 *
+	 * @return array The arguments of `Page::enqueue_script()` for the repeater script.
+	 */
+	public static function get_script(): array {
+		return array( 'ui-input/repeater.js', false, YD_CORE );
+	}
+
+	/**
+	 * Get the rows of the value.
+	 *
+	 * @return array The rows of the repeater.
+	 */
+	private function get_rows(): array {
+		return array_values( (array) ( $this->get_value() ?? array() ) );
+	}
+
+	/**
+	 * Get the data attributes for the repeater input.
+	 *
+	 * @return array The data attributes including configuration and value.
+	 */
+	protected function get_data_attributes(): array {
+		return array(
+			'config' => array(
+				'is_required' => $this->is_required(),
+				'data_name'   => $this->get_data_name(),
+				'fields'      => array_keys( $this->fields ),
+				'min'         => $this->min,
+				'max'         => $this->max,
+			),
+			'value'  => $this->get_rows(),
+		);
+	}
+
+	/**
+	 * Renders the rows, the row template and the add button of the repeater.
+	 *
+	 * @return void
+	 */
+	protected function get_content() {
+		$rows = $this->get_rows();
+		?>
+		<div class="repeater">
+			<ol class="rows">
+				<?php
+				for ( $index = 0; $index < max( count( $rows ), $this->min ); $index++ ) {
+					$this->render_row( $index, (array) ( $rows[ $index ] ?? array() ) );
+				}
+				?>
+			</ol>
+			<template>
+				<?php $this->render_row( self::INDEX_PLACEHOLDER, array() ); ?>
+			</template>
+			<button type="button" class="button add" <?php $this->render_attribute_id_input(); ?>><?php esc_html_e( 'Add row', 'yd-core' ); ?></button>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Renders a row with the child inputs named by its index.
+	 *
+	 * @param int|string $index The index of the row, or the placeholder for the row template.
+	 * @param array      $row The values of the child inputs keyed by field name.
+	 * @return void
+	 */
+	private function render_row( $index, array $row ) {
+		?>
+		<li class="row">
+			<span class="handle dashicons dashicons-menu" tabindex="0" role="button" title="<?php esc_attr_e( 'Drag or press Alt+Up/Down to move', 'yd-core' ); ?>"></span>
+			<div class="fields">
+				<?php
+				foreach ( $this->fields as $key => $field ) :
+					$field = clone $field;
+					$field->set_id( '' );
+					$field->set_data_name( sprintf( '%s[%s][%s]', $this->get_data_name(), $index, $key ) );
+					$field->set_value( $row[ $key ] ?? null );
+					?>
+					<div class="field" <?php $this->render_attribute( 'data-key', $key ); ?>>
+						<?php if ( ! empty( $this->labels[ $key ] ) ) : ?>
+							<label class="field-label"><?php echo( esc_html( $this->labels[ $key ] ) ); ?></label>
+						<?php endif; ?>
+						<?php $field->render(); ?>
+					</div>
+				<?php endforeach; ?>
+			</div>
+			<div class="row-actions">
+				<button type="button" class="button-link duplicate"><?php esc_html_e( 'Duplicate', 'yd-core' ); ?></button>
+				<button type="button" class="button-link button-link-delete remove"><?php esc_html_e( 'Remove', 'yd-core' ); ?></button>
+			</div>
+		</li>
+		<?php
+	}
+}
+
+?>
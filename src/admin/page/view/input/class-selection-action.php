@@ -0,0 +1,142 @@
+<?php
+/**
+ * Selection Action Input UI Component for Admin Page
+ *
+ * This file defines the `Selection_Action` class, which handles the rendering and management of a selection input field
+ * whose every selected item carries an action chosen from a dropdown within the WordPress admin interface.
+ * It includes methods for setting the AJAX action, the search properties and the available actions.
+ *
+ * @package YD\Core
+ * @subpackage Admin\Page\View
+ * @author Yigit Demir
+ * @since 1.0.0
+ * @version 1.0.0
+ */
+
+namespace YD\Admin\Page\View;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Selection_Action class defines the "Selection Action" input field, a custom UI component that searches items
+ * via AJAX and lets the user pick an action (e.g. "link to product" or "link to category") for each selected item.
+ * The value is submitted as a list of `[ 'id' => ..., 'action' => ... ]` pairs.
+ */
+final class Selection_Action extends Input {
+	/**
+	 * The action options shown in the dropdown of each selected item.
+	 *
+	 * @var array
+	 */
+	private $actions;
+
+	/**
+	 * The properties sent along with the AJAX requests.
+	 *
+	 * @var array|null
+	 */
+	private $properties;
+
+	/**
+	 * The display name (placeholder) of the search input.
+	 *
+	 * @var string|null
+	 */
+	private $display_name;
+
+	/**
+	 * The name of the AJAX action used for searching items.
+	 *
+	 * @var string|null
+	 */
+	private $ajax_action_name;
+
+	/**
+	 * Whether the AJAX action accepts batched requests, see `Ajax::is_batchable()`.
+	 *
+	 * @var bool
+	 */
+	private $is_batchable = false;
+
+	/**
+	 * Constructor for the Selection_Action class.
+	 *
+	 * @param string      $data_name The data name for the input.
+	 * @param array       $actions The action options as `value => label` pairs.
+	 * @param string|null $display_name Optional display name for the search input.
+	 */
+	public function __construct( string $data_name, array $actions, ?string $display_name = null ) {
+		$this->set_data_name( $data_name );
+		$this->actions      = $actions;
+		$this->display_name = $display_name;
+	}
+
+	/**
+	 * Set the AJAX action name.
+	 *
+	 * @param string $ajax_action_name The AJAX action name.
+	 * @return void
+	 */
+	public function set_ajax_action_name( $ajax_action_name ) {
+		$this->ajax_action_name = $ajax_action_name;
+	}
+
+	/**
+	 * Set whether the AJAX action accepts batched requests, so the initial values of all inputs sharing the
+	 * action are resolved with one request.
+	 *
+	 * @param bool $is_batchable Whether the AJAX action accepts batched requests.
+	 * @return void
+	 */
+	public function set_batchable( bool $is_batchable ) {
+		$this->is_batchable = $is_batchable;
+	}
+
+	/**
+	 * Set the properties sent along with the AJAX requests.
+	 *
+	 * @param array $properties The properties to set.
+	 * @return void
+	 */
+	public function set_properties( $properties ) {
+		$this->properties = $properties;
+	}
+
+	/**
+	 * Get the name of the selection action input.
+	 *
+	 * @return string The name of the selection action input.
+	 */
+	protected function get_name(): string {
+		return 'selection-action';
+	}
+
+	/**
+	 * Get the script of the selection action input.
+	 *
+	 * @return array The arguments of `Page::enqueue_script()` for the selection action script.
+	 */
+	public static function get_script(): array {
+		return array( 'ui-input/selection-action.js', false, YD_CORE );
+	}
+
+	/**
+	 * Get the data attributes for the selection action input.
+	 *
+	 * @return array The data attributes including configuration, dropdown options and value.
+	 */
+	protected function get_data_attributes(): array {
+		return array(
+			'config'           => array(
+				'is_required'      => $this->is_required(),
+				'data_name'        => $this->get_data_name(),
+				'display_name'     => $this->display_name ?? '',
+				'ajax_action_name' => $this->ajax_action_name,
+				'is_batchable'     => $this->is_batchable,
+				'properties'       => $this->properties ?? array(),
+			),
+			'dropdown-options' => $this->actions,
+			'value'            => array_values( (array) ( $this->get_value() ?? array() ) ),
+		);
+	}
+}
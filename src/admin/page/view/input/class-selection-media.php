@@ -24,9 +24,95 @@ defined( 'ABSPATH' ) || exit;
  *
  * Extends the generic `Input` class and overrides the methods required to
  * output the control and its configuration.
+ *
+ * In gallery mode several attachments are selected, shown as a sortable grid
+ * of thumbnails and submitted as `data_name[]` ids, so the data name is
+ * sanitized with an `array` rule of `integer` items.
+ *
+ * The previews are requested from the `url-media` AJAX action with the `id`
+ * and `size` of an attachment, which responds with its `type` and `url`. When
+ * the action accepts batched requests (`set_batchable()`, see
+ * `Ajax::is_batchable()`), the previews of a gallery are requested at once
+ * with a `batch` list of these entries, responded with the list of their
+ * results in the same order. Otherwise one request is sent per attachment.
+ *
+ * The selectable attachments are restricted with MIME types, dimensions, a
+ * file size and an aspect ratio. The Media Library lists the allowed types
+ * only (images and videos by default), and the other constraints are checked
+ * when an attachment is picked, so non-conforming picks are rejected with an
+ * error under the input.
+ *
+ * A single image can also be cropped after it is picked and given a focal
+ * point on its preview. The crop and the focal point are stored as fractions
+ * of the image next to the attachment id, so the value is submitted as the
+ * `data_name[id]`, `data_name[crop][x|y|width|height]` and
+ * `data_name[focal][x|y]` hidden inputs, sanitized with the rule of
+ * `Selection_Media::get_rule()`.
+ *
+ * Files dropped onto or pasted into the input are uploaded to the Media
+ * Library through `async-upload.php` and selected like picked attachments.
+ *
+ * The edit action of a single attachment opens its `post.php` edit page in a
+ * new tab, so its details are changed without changing the value.
  */
 final class Selection_Media extends Input {
 
+	/**
+	 * Whether the input selects several attachments.
+	 *
+	 * @var bool
+	 */
+	private $is_gallery = false;
+
+	/**
+	 * The minimum number of attachments in gallery mode.
+	 *
+	 * @var int
+	 */
+	private $min = 0;
+
+	/**
+	 * The maximum number of attachments in gallery mode, 0 for no limit.
+	 *
+	 * @var int
+	 */
+	private $max = 0;
+
+	/**
+	 * The constraints of the selectable attachments.
+	 *
+	 * @var array
+	 */
+	private $constraints = array();
+
+	/**
+	 * Whether an image is cropped after it is picked.
+	 *
+	 * @var bool
+	 */
+	private $is_crop = false;
+
+	/**
+	 * The aspect ratio of the crop, empty for a free crop.
+	 *
+	 * @var int[]
+	 */
+	private $crop_ratio = array();
+
+	/**
+	 * Whether a focal point is picked on the preview of an image.
+	 *
+	 * @var bool
+	 */
+	private $is_focal_point = false;
+
+	/**
+	 * Whether the `url-media` action accepts batched requests.
+	 *
+	 * @var bool
+	 */
+	private $is_batchable = false;
+
 	/**
 	 * Initializes the `Selection_Media` class by setting the data name.
 	 *
@@ -36,6 +122,201 @@ final class Selection_Media extends Input {
 		$this->set_data_name( $data_name );
 	}
 
+	/**
+	 * Set whether the input selects several attachments.
+	 *
+	 * @param bool $is_gallery Whether the input selects several attachments.
+	 * @return void
+	 */
+	public function set_gallery( bool $is_gallery ) {
+		$this->is_gallery = $is_gallery;
+	}
+
+	/**
+	 * Set the minimum number of attachments in gallery mode. An empty gallery
+	 * is only rejected when the input is required.
+	 *
+	 * @param int $min The minimum number of attachments.
+	 * @return void
+	 */
+	public function set_min( int $min ) {
+		$this->min = $min;
+	}
+
+	/**
+	 * Set the maximum number of attachments in gallery mode.
+	 *
+	 * @param int $max The maximum number of attachments, 0 for no limit.
+	 * @return void
+	 */
+	public function set_max( int $max ) {
+		$this->max = $max;
+	}
+
+	/**
+	 * Set whether the `url-media` action accepts batched requests, so the
+	 * previews of a gallery are requested at once.
+	 *
+	 * @param bool $is_batchable Whether the action accepts batched requests.
+	 * @return void
+	 */
+	public function set_batchable( bool $is_batchable ) {
+		$this->is_batchable = $is_batchable;
+	}
+
+	/**
+	 * Set the allowed MIME types of the attachments, as full MIME types
+	 * (e.g. `image/png`, `application/pdf`) or types (e.g. `audio`).
+	 *
+	 * @param string[] $mime_types The allowed MIME types, empty for images and videos.
+	 * @return void
+	 */
+	public function set_mime_types( array $mime_types ) {
+		$this->constraints['mime_types'] = array_values( $mime_types );
+	}
+
+	/**
+	 * Set the minimum dimensions of the attachments in pixels.
+	 *
+	 * @param int $width The minimum width, 0 for no limit.
+	 * @param int $height The minimum height, 0 for no limit.
+	 * @return void
+	 */
+	public function set_min_dimensions( int $width, int $height ) {
+		$this->constraints['min_width']  = $width;
+		$this->constraints['min_height'] = $height;
+	}
+
+	/**
+	 * Set the maximum dimensions of the attachments in pixels.
+	 *
+	 * @param int $width The maximum width, 0 for no limit.
+	 * @param int $height The maximum height, 0 for no limit.
+	 * @return void
+	 */
+	public function set_max_dimensions( int $width, int $height ) {
+		$this->constraints['max_width']  = $width;
+		$this->constraints['max_height'] = $height;
+	}
+
+	/**
+	 * Set the maximum file size of the attachments.
+	 *
+	 * @param int $max_file_size The maximum file size in bytes, 0 for no limit.
+	 * @return void
+	 */
+	public function set_max_file_size( int $max_file_size ) {
+		$this->constraints['max_file_size'] = $max_file_size;
+	}
+
+	/**
+	 * Set the aspect ratio of the attachments, e.g. 16 and 9 for 16:9.
+	 *
+	 * @param int $width The width of the ratio.
+	 * @param int $height The height of the ratio.
+	 * @return void
+	 */
+	public function set_aspect_ratio( int $width, int $height ) {
+		$this->constraints['aspect_ratio'] = array( $width, $height );
+	}
+
+	/**
+	 * Set whether an image is cropped after it is picked, not supported in
+	 * gallery mode. The crop step can be skipped.
+	 *
+	 * @param bool $is_crop Whether an image is cropped after it is picked.
+	 * @param int  $ratio_width The width of the aspect ratio of the crop, 0 for a free crop.
+	 * @param int  $ratio_height The height of the aspect ratio of the crop, 0 for a free crop.
+	 * @return void
+	 */
+	public function set_crop( bool $is_crop, int $ratio_width = 0, int $ratio_height = 0 ) {
+		$this->is_crop    = $is_crop;
+		$this->crop_ratio = $ratio_width > 0 && $ratio_height > 0 ? array( $ratio_width, $ratio_height ) : array();
+	}
+
+	/**
+	 * Set whether a focal point is picked on the preview of an image, not
+	 * supported in gallery mode.
+	 *
+	 * @param bool $is_focal_point Whether a focal point is picked.
+	 * @return void
+	 */
+	public function set_focal_point( bool $is_focal_point ) {
+		$this->is_focal_point = $is_focal_point;
+	}
+
+	/**
+	 * Check if the value stores a crop or a focal point next to the
+	 * attachment id.
+	 *
+	 * @return bool True when cropping or picking a focal point of a single image, false otherwise.
+	 */
+	public function is_structured(): bool {
+		return ! $this->is_gallery() && ( $this->is_crop || $this->is_focal_point );
+	}
+
+	/**
+	 * Get the rule of the value of a cropped image or an image with a focal
+	 * point: the attachment id, the crop and the focal point as fractions of
+	 * the image.
+	 *
+	 * @return array The rule for `Data_Manager`.
+	 */
+	public static function get_rule(): array {
+		$fraction = array(
+			'type' => 'double',
+			'min'  => 0,
+			'max'  => 1,
+		);
+
+		return array(
+			'type'  => 'object',
+			'rules' => array(
+				'id'    => array(
+					'type' => 'integer',
+					'min'  => 1,
+				),
+				'crop'  => array(
+					'type'  => 'object',
+					'rules' => array_fill_keys( array( 'x', 'y', 'width', 'height' ), $fraction ),
+				),
+				'focal' => array(
+					'type'  => 'object',
+					'rules' => array_fill_keys( array( 'x', 'y' ), $fraction ),
+				),
+			),
+		);
+	}
+
+	/**
+	 * Check if the input selects several attachments.
+	 *
+	 * @return bool True in gallery mode, false otherwise.
+	 */
+	public function is_gallery(): bool {
+		return $this->is_gallery;
+	}
+
+	/**
+	 * Get the selected attachment ids of gallery mode.
+	 *
+	 * @return int[] The attachment ids.
+	 */
+	private function get_ids(): array {
+		return array_values( array_filter( array_map( 'intval', (array) ( $this->get_value() ?? array() ) ) ) );
+	}
+
+	/**
+	 * Get the selected attachment id of single mode.
+	 *
+	 * @return int The attachment id, 0 for no media.
+	 */
+	private function get_attachment_id(): int {
+		$value = $this->get_value();
+
+		return (int) ( is_array( $value ) ? ( $value['id'] ?? 0 ) : $value );
+	}
+
 	/**
 	 * This method returns the name used for the selection input, which is
 	 * used to identify the input field in the HTML.
@@ -46,34 +327,104 @@ final class Selection_Media extends Input {
 		return 'selection-media';
 	}
 
+	/**
+	 * Get the script of the selection media input.
+	 *
+	 * @return array The arguments of `Page::enqueue_script()` for the selection media script.
+	 */
+	public static function get_script(): array {
+		return array( 'ui-input/selection-media.js', false, YD_CORE );
+	}
+
 	/**
 	 * Outputs the HTML markup for the media‑selection control.
 	 *
-	 * The markup consists of a button that either opens the WordPress Media
-	 * Library (for choosing an image or a video) or removes the currently
-	 * selected attachment, and a hidden <input> element that stores the
+	 * The markup consists of a button that opens the WordPress Media Library
+	 * for choosing an attachment of the allowed types, or for replacing the
+	 * selected one, the actions that edit the details of the selected
+	 * attachment or remove it, and a hidden <input> element that stores the
 	 * selected attachment ID.
 	 *
 	 * @return void
 	 */
 	protected function get_content() {
+		if ( $this->is_gallery() ) {
+			$this->render_gallery();
+			return;
+		}
 		?>
 		<div class="selection-media">
 			<span class="button action" tabindex="0" <?php $this->render_attribute_id_input(); ?>>
 			<?php
-			if ( ( (int) $this->get_value() ) === 0 ) :
+			if ( $this->get_attachment_id() === 0 ) :
 				esc_html_e( 'Select media', 'yd-core' );
 else :
-	esc_html_e( 'Remove media', 'yd-core' );
+	esc_html_e( 'Replace media', 'yd-core' );
 endif;
 ?>
 </span>
+			<span class="media-actions" <?php echo( $this->get_attachment_id() === 0 ? 'hidden' : '' ); ?>>
+				<button type="button" class="button-link edit"><?php esc_html_e( 'Edit media', 'yd-core' ); ?></button>
+				<button type="button" class="button-link button-link-delete remove"><?php esc_html_e( 'Remove media', 'yd-core' ); ?></button>
+			</span>
 			<input type="hidden" 
 			<?php
-					$this->render_attribute( 'name', $this->get_data_name() );
-					$this->render_attribute( 'value', $this->get_value() );
+					$this->render_attribute( 'name', $this->is_structured() ? $this->get_data_name() . '[id]' : $this->get_data_name() );
+					$this->render_attribute( 'value', $this->get_attachment_id() );
 			?>
 				>
+			<?php
+			if ( $this->is_structured() ) {
+				$this->render_meta();
+			}
+			?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Outputs the hidden inputs of the crop and the focal point of the value.
+	 *
+	 * @return void
+	 */
+	private function render_meta() {
+		$value = (array) $this->get_value();
+
+		foreach ( array( 'crop', 'focal' ) as $meta ) :
+			foreach ( (array) ( $value[ $meta ] ?? array() ) as $key => $fraction ) :
+				?>
+				<input type="hidden" class="meta" 
+				<?php
+				$this->render_attribute( 'name', sprintf( '%s[%s][%s]', $this->get_data_name(), $meta, $key ) );
+				$this->render_attribute( 'value', (string) (float) $fraction );
+				$this->render_attribute( 'data-meta', $meta );
+				$this->render_attribute( 'data-key', $key );
+				?>
+				>
+				<?php
+			endforeach;
+		endforeach;
+	}
+
+	/**
+	 * Outputs the HTML markup of gallery mode: the list of the selected
+	 * attachments, each with a hidden input of its id, and the button that
+	 * opens the WordPress Media Library for adding attachments. The thumbnails
+	 * are loaded by the JavaScript controller.
+	 *
+	 * @return void
+	 */
+	private function render_gallery() {
+		?>
+		<div class="selection-media gallery">
+			<ul class="gallery-items">
+				<?php foreach ( $this->get_ids() as $id ) : ?>
+					<li class="gallery-item" <?php $this->render_attribute( 'data-id', $id ); ?>>
+						<input type="hidden" <?php $this->render_attribute( 'name', $this->get_data_name() . '[]' ); ?> <?php $this->render_attribute( 'value', $id ); ?>>
+					</li>
+				<?php endforeach; ?>
+			</ul>
+			<span class="button action" tabindex="0" <?php $this->render_attribute_id_input(); ?>><?php esc_html_e( 'Add media', 'yd-core' ); ?></span>
 		</div>
 		<?php
 	}
@@ -86,10 +437,37 @@ endif;
 	 * @return array The data attributes for the selection input.
 	 */
 	protected function get_data_attributes(): array {
+		$config = array(
+			'is_required' => $this->is_required(),
+		);
+
+		$constraints = array_filter( $this->constraints );
+		if ( ! empty( $constraints ) ) {
+			$config['constraints'] = $constraints;
+		}
+
+		if ( $this->is_structured() ) {
+			$config += array(
+				'is_crop'        => $this->is_crop,
+				'crop_ratio'     => $this->crop_ratio,
+				'is_focal_point' => $this->is_focal_point,
+			);
+		}
+
+		if ( $this->is_gallery() ) {
+			$config += array(
+				'is_gallery'   => true,
+				'data_name'    => $this->get_data_name(),
+				'min'          => $this->min,
+				'max'          => $this->max,
+				'is_batchable' => $this->is_batchable,
+			);
+		} else {
+			$config['edit_url'] = admin_url( 'post.php?action=edit' );
+		}
+
 		return array(
-			'config' => array(
-				'is_required' => $this->is_required(),
-			),
+			'config' => $config,
 		);
 	}
 }
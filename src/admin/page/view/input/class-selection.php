@@ -43,6 +43,13 @@ final class Selection extends Input {
 	 */
 	private $ajax_action_name;
 
+	/**
+	 * Whether the AJAX action accepts batched requests, see `Ajax::is_batchable()`.
+	 *
+	 * @var bool
+	 */
+	private $is_batchable = false;
+
 	/**
 	 * Whether the selection allows multiple values.
 	 *
@@ -50,6 +57,14 @@ final class Selection extends Input {
 	 */
 	private $is_multiple = true;
 
+	/**
+	 * The number of items requested per page while searching. Only an AJAX action responding with
+	 * `array( 'items' => ..., 'has_more' => ... )` is paged, a list of items is the only page of the results.
+	 *
+	 * @var int
+	 */
+	private $per_page = 20;
+
 	/**
 	 * Constructor for the Selection class.
 	 *
@@ -71,6 +86,17 @@ final class Selection extends Input {
 		$this->ajax_action_name = $ajax_action_name;
 	}
 
+	/**
+	 * Set whether the AJAX action accepts batched requests, so the initial values of all inputs sharing the
+	 * action are resolved with one request.
+	 *
+	 * @param bool $is_batchable Whether the AJAX action accepts batched requests.
+	 * @return void
+	 */
+	public function set_batchable( bool $is_batchable ) {
+		$this->is_batchable = $is_batchable;
+	}
+
 	/**
 	 * Set the properties for the selection input.
 	 *
@@ -91,6 +117,16 @@ final class Selection extends Input {
 		$this->is_multiple = $is_multiple;
 	}
 
+	/**
+	 * Set the number of items requested per page while searching.
+	 *
+	 * @param int $per_page The number of items per page.
+	 * @return void
+	 */
+	public function set_per_page( int $per_page ) {
+		$this->per_page = $per_page;
+	}
+
 	/**
 	 * Check if the selection allows multiple values.
 	 *
@@ -109,6 +145,15 @@ final class Selection extends Input {
 		return 'selection';
 	}
 
+	/**
+	 * Get the script of the selection input.
+	 *
+	 * @return array The arguments of `Page::enqueue_script()` for the selection script.
+	 */
+	public static function get_script(): array {
+		return array( 'ui-input/selection.js', false, YD_CORE );
+	}
+
 	/**
 	 * Get the data attributes for the selection input.
 	 *
@@ -123,6 +168,8 @@ final class Selection extends Input {
 				'data_name'        => $this->get_data_name(),
 				'display_name'     => $this->display_name ?? '',
 				'ajax_action_name' => $this->ajax_action_name,
+				'per_page'         => $this->per_page,
+				'is_batchable'     => $this->is_batchable,
 			),
 			'properties' => $this->properties ?? array(),
 			'value'      => $this->get_value(),
@@ -270,6 +270,44 @@ final class Data_Manager {
 		return $this->rules;
 	}
 
+	/**
+	 * Returns the rules in a form that can be exported to the browser for client-side validation.
+	 *
+	 * Only the keys checked by the client-side validator are kept, so callbacks and
+	 * other server-only keys are left out. Values passed or sanitized by a callback are not checked.
+	 *
+	 * @param array $rules The rules for sanitization.
+	 * @return array The client-side rules.
+	 */
+	public static function get_client_rules( array $rules ): array {
+		$client_keys  = array_flip( array( 'type', 'values', 'pattern_match', 'sanitize_length', 'min', 'max' ) );
+		$client_rules = array();
+
+		foreach ( $rules as $rule_key => $rule_value ) {
+			if ( ! is_array( $rule_value ) ) {
+				continue;
+			}
+
+			if ( ! empty( $rule_value['pass'] ) || ! empty( $rule_value['sanitize_callback'] ) ) {
+				$client_rules[ $rule_key ] = array();
+				continue;
+			}
+
+			$client_rule = array_intersect_key( $rule_value, $client_keys );
+
+			if ( ! empty( $rule_value['item_rules'] ) ) {
+				$client_rule['item_rules'] = self::get_client_rules( array( $rule_value['item_rules'] ) )[0];
+			}
+			if ( ! empty( $rule_value['rules'] ) ) {
+				$client_rule['rules'] = self::get_client_rules( $rule_value['rules'] );
+			}
+
+			$client_rules[ $rule_key ] = $client_rule;
+		}
+
+		return $client_rules;
+	}
+
 	/**
 	 * Returns an array of supported data types.
 	 *
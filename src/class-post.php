@@ -252,6 +252,7 @@ abstract class Post {
 						}
 
 						Page::load_assets();
+						Page::load_rules( $this->get_rules() );
 						$this->callback_edit( $post );
 					}
 				);